@@ -184,10 +184,14 @@ DebugTarget.prototype.dispatchTargetMessage_ = function(headers, content) {
   switch (packet['type']) {
     case 'response':
       var promisePair = this.pendingTargetPromises_[packet['request_seq']];
+      delete this.pendingTargetPromises_[packet['request_seq']];
       if (packet['success']) {
         promisePair.resolve(packet['body']);
       } else {
-        promisePair.reject(packet['message']);
+        // Failures may carry details, like live edit compile errors.
+        var error = new Error(packet['message']);
+        error.details = packet['error_details'];
+        promisePair.reject(error);
       }
       break;
     case 'event':
@@ -199,11 +203,29 @@ DebugTarget.prototype.dispatchTargetMessage_ = function(headers, content) {
   }
 };
 
+/**
+ * Gets the target V8 information.
+ * The values are undefined until the target is connected.
+ * @return {!DebugTarget.TargetInfo} Target information.
+ */
+DebugTarget.prototype.getTargetInfo = function() {
+  return this.targetInfo_;
+};
+
+/**
+ * Whether the connection has been closed.
+ * @return {boolean}
+ */
+DebugTarget.prototype.isClosed = function() {
+  return this.closed_;
+};
+
 /**
  * Sends a command to the target.
  * @param {string} command Command name, like 'continue'.
  * @param {Object} args Command arguments object, if any.
- * @return Promise satisfied when a response is received.
+ * @return Promise satisfied when a response is received. It is rejected with
+ *     an Error carrying the response error details, if any, on failure.
  * @private
  */
 DebugTarget.prototype.sendCommand = function(command, args) {
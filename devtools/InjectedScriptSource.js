@@ -38,17 +38,67 @@ if (!InjectedScriptHost) {
     InjectedScriptHost = {
         type: function(object) { return typeof object; },
         subtype: function(object) {
-            if (object instanceof Date)
-                return "date";
-            if (object instanceof RegExp)
-                return "regexp";
-            if (object instanceof Array)
+            if (object === null || typeof object !== "object")
+                return "";
+            var className = internalClassName(object);
+            switch (className) {
+            case "Array":
+            case "Arguments":
                 return "array";
-            if (object instanceof Date)
+            case "Date":
                 return "date";
+            case "RegExp":
+                return "regexp";
+            case "Error":
+                return "error";
+            case "Map":
+                return "map";
+            case "Set":
+                return "set";
+            case "WeakMap":
+                return "weakmap";
+            case "WeakSet":
+                return "weakset";
+            case "Promise":
+                return "promise";
+            case "Generator":
+                return "generator";
+            case "Map Iterator":
+            case "Set Iterator":
+            case "Array Iterator":
+            case "String Iterator":
+                return "iterator";
+            }
+            if (/^(Big)?(Int|Uint|Float)\d+(Clamped)?Array$/.test(className))
+                return "typedarray";
+            // Buffers are plain objects before node 4.
+            var Buffer = inspectedWindow.Buffer;
+            if (typeof Buffer === "function" && typeof Buffer.isBuffer === "function" && Buffer.isBuffer(object))
+                return "typedarray";
+            // Errors made with util.inherits() and Error.call(this).
+            if (object instanceof inspectedWindow.Error)
+                return "error";
             return "";
         },
-        internalConstructorName: function(object) { return "Object" }, 
+        internalConstructorName: function(object) {
+            // "Map Iterator" -> "MapIterator".
+            var className = internalClassName(object).replace(/ /g, "");
+            // Look the constructor up without running getters. Built-ins like
+            // iterators and arguments inherit the one of Object.
+            try {
+                for (var o = object; o; o = Object.getPrototypeOf(o)) {
+                    var descriptor = Object.getOwnPropertyDescriptor(o, "constructor");
+                    if (!descriptor)
+                        continue;
+                    var constructor = descriptor.value;
+                    if (typeof constructor === "function" && typeof constructor.name === "string" && constructor.name && (constructor.name !== "Object" || className === "Object"))
+                        return constructor.name;
+                    break;
+                }
+            } catch (e) {
+            }
+            return className;
+        },
         inspect: function() { },
         eval: function(expression) { return (function() { return eval(expression); }).call(null); },
         evaluateWithExceptionDetails: function(expression) {
@@ -69,6 +119,20 @@ if (!InjectedScriptHost) {
             }
         },
         getInternalProperties: function() { return []; },
+        collectionEntries: function(object) {
+            var entries = [];
+            var Map = inspectedWindow.Map;
+            var Set = inspectedWindow.Set;
+            if (typeof Map === "function" && object instanceof Map)
+                Map.prototype.forEach.call(object, function(value, key) { entries.push({ key: key, value: value }); });
+            else if (typeof Set === "function" && object instanceof Set)
+                Set.prototype.forEach.call(object, function(value) { entries.push({ value: value }); });
+            else
+                return null;
+            return entries;
+        },
+        // The adapter looks them up through the debug agent instead and passes
+        // them to getFunctionDetails.
         functionDetails: function() { },
         suppressWarningsAndCallFunction: function(method, target, params)
         {
@@ -77,8 +141,8 @@ if (!InjectedScriptHost) {
         setFunctionVariableValue: function() { },
         isHTMLAllCollection: function() { return false; },
         clearConsoleMessages: function() { },
-        debugFunction: function() { },
-        undebugFunction: function() { },
+        debugFunction: function(fn) { injectedScript.debugFunction(fn); },
+        undebugFunction: function(fn) { injectedScript.undebugFunction(fn); },
         monitorFunction: function() { },
         unmonitorFunction: function() { },
         inspectedObject: function() { }
@@ -91,6 +155,15 @@ if (!InjectedScriptHost) {
  */
 var Object = /** @type {function(new:Object, *=)} */ ({}.constructor);
 
+/**
+ * @param {*} object
+ * @return {string} the [[Class]] of the object, like "Map" or "Arguments"
+ */
+function internalClassName(object)
+{
+    return Object.prototype.toString.call(object).slice(8, -1);
+}
+
 /**
  * @param {!Array.<T>} array
  * @param {...} var_args
@@ -244,6 +317,39 @@ function isSymbol(obj)
     return (type === "symbol");
 }
 
+/**
+ * Captures the current stack using the V8 stack trace API.
+ * @param {function(...)} topFunction Function to omit along with its callees.
+ * @return {!Array.<!Object>}
+ */
+function captureCallFrames(topFunction)
+{
+    var Error = inspectedWindow.Error;
+    var prepareStackTrace = Error.prepareStackTrace;
+    var holder = { __proto__: null };
+    var callSites;
+    try {
+        Error.prepareStackTrace = function(error, structuredStackTrace) { return structuredStackTrace; };
+        Error.captureStackTrace(holder, topFunction);
+        // The stack is formatted lazily, read it before restoring the formatter.
+        callSites = holder.stack;
+    } finally {
+        Error.prepareStackTrace = prepareStackTrace;
+    }
+    var callFrames = [];
+    for (var i = 0; callSites && i < callSites.length; ++i) {
+        var callSite = callSites[i];
+        push(callFrames, {
+            functionName: callSite.getFunctionName() || "",
+            url: callSite.getFileName() || "",
+            lineNumber: callSite.getLineNumber() - 1,
+            columnNumber: callSite.getColumnNumber() - 1,
+            __proto__: null
+        });
+    }
+    return callFrames;
+}
+
 /**
  * @constructor
  */
@@ -259,8 +365,41 @@ var InjectedScript = function()
     this._objectGroups = { __proto__: null };
     /** @type {!Object.<string, !Object>} */
     this._modules = { __proto__: null };
+    /** @type {!Array.<!Object>} */
+    this._adapterMessages = [];
+    /** @type {number} */
+    this._lastAdapterNotificationId = 0;
+    /** @type {!Object.<number, !Function>} */
+    this._debuggedFunctions = { __proto__: null };
+    /** @type {!Object.<string, function():*>} */
+    this._compiledScripts = { __proto__: null };
+    /** @type {number} */
+    this._lastCompiledScriptId = 0;
+    /** @type {number} */
+    this._lastDebuggedFunctionId = 0;
 }
 
+/**
+ * Name of the scripts compiled to notify the adapter of pending messages.
+ * The debug protocol has no way for the target to push data, but the adapter
+ * does get compile events for them.
+ * @type {string}
+ * @const
+ */
+InjectedScript.adapterNotificationURL = "__node_devtools_notification__";
+
+/**
+ * @type {number}
+ * @const
+ */
+InjectedScript.maxAdapterMessages = 1000;
+
+/**
+ * The original process.nextTick, kept before any instrumentation.
+ * @type {?function(function())}
+ */
+var nextTick = inspectedWindow.process && typeof inspectedWindow.process.nextTick === "function" ? inspectedWindow.process.nextTick : null;
+
 /**
  * @type {!Object.<string, boolean>}
  * @const
@@ -493,9 +632,28 @@ InjectedScript.prototype = {
 
     /**
      * @param {string} objectId
+     * @return {boolean} whether the object has internal properties that only
+     *     V8 mirrors can read
+     */
+    needsMirrorInternalProperties: function(objectId)
+    {
+        var object = this._objectForId(this._parseObjectId(objectId));
+        if (!this._isDefined(object) || isSymbol(object))
+            return false;
+        if (typeof object === "function")
+            return true;
+        var Promise = inspectedWindow.Promise;
+        return (typeof Promise === "function" && object instanceof Promise) || object instanceof Number || object instanceof String || object instanceof Boolean;
+    },
+
+    /**
+     * @param {string} objectId
+     * @param {!Array.<!{name: string, value: *, scopeTypes: (!Array.<number>|undefined)}>=} mirrorProperties
+     *     Internal properties the adapter read through V8 mirrors. Values
+     *     with scopeTypes are arrays of scope objects.
      * @return {!Array.<!Object>|boolean}
      */
-    getInternalProperties: function(objectId)
+    getInternalProperties: function(objectId, mirrorProperties)
     {
         var parsedObjectId = this._parseObjectId(objectId);
         var object = this._objectForId(parsedObjectId);
@@ -516,20 +674,52 @@ InjectedScript.prototype = {
                 push(descriptors, descriptor);
             }
         }
+        for (var i = 0; mirrorProperties && i < mirrorProperties.length; i++) {
+            var value = mirrorProperties[i].value;
+            if (mirrorProperties[i].scopeTypes) {
+                var scopes = [];
+                for (var j = 0; j < value.length; j++)
+                    push(scopes, { type: InjectedScript.CallFrameProxy._scopeTypeNames[mirrorProperties[i].scopeTypes[j]], object: value[j], __proto__: null });
+                value = scopes;
+            }
+            push(descriptors, {
+                name: mirrorProperties[i].name,
+                value: this._wrapObject(value, objectGroupName),
+                __proto__: null
+            });
+        }
+        var entries = InjectedScriptHost.collectionEntries(object);
+        if (entries) {
+            var entryValues = [];
+            for (var i = 0; i < entries.length; i++)
+                push(entryValues, "key" in entries[i] ? { key: entries[i].key, value: entries[i].value } : entries[i].value);
+            push(descriptors, { name: "[[Entries]]", value: this._wrapObject(entryValues, objectGroupName), __proto__: null });
+        }
         return descriptors;
     },
 
     /**
      * @param {string} functionId
+     * @param {!Object=} debuggerDetails Location and name of the function
+     *     looked up through the debug agent, when the host can't provide them.
+     * @param {!Array.<!Object>=} scopeObjects Closure scopes looked up along
+     *     with them.
+     * @param {!Array.<number>=} scopeTypes
      * @return {!DebuggerAgent.FunctionDetails|string}
      */
-    getFunctionDetails: function(functionId)
+    getFunctionDetails: function(functionId, debuggerDetails, scopeObjects, scopeTypes)
     {
         var parsedFunctionId = this._parseObjectId(functionId);
         var func = this._objectForId(parsedFunctionId);
         if (typeof func !== "function")
             return "Cannot resolve function by id.";
-        var details = nullifyObjectProto(/** @type {!DebuggerAgent.FunctionDetails} */ (InjectedScriptHost.functionDetails(func)));
+        var details = nullifyObjectProto(/** @type {!DebuggerAgent.FunctionDetails} */ (debuggerDetails || InjectedScriptHost.functionDetails(func)));
+        if (scopeObjects) {
+            var rawScopes = [];
+            for (var i = 0; i < scopeObjects.length; ++i)
+                push(rawScopes, { type: scopeTypes[i], object: scopeObjects[i], __proto__: null });
+            details["rawScopes"] = rawScopes;
+        }
         if ("rawScopes" in details) {
             var objectGroupName = this._idToObjectGroupName[parsedFunctionId.id];
             var rawScopes = details["rawScopes"];
@@ -584,6 +774,33 @@ InjectedScript.prototype = {
         return entries;
     },
 
+    /**
+     * Releases some objects of a group and keeps the others.
+     * @param {string} objectGroupName
+     * @param {!Array.<string>} objectIds
+     */
+    _releaseObjectsInGroup: function(objectGroupName, objectIds)
+    {
+        var group = this._objectGroups[objectGroupName];
+        if (!group)
+            return;
+        var released = { __proto__: null };
+        for (var i = 0; i < objectIds.length; ++i) {
+            var id = this._parseObjectId(objectIds[i]).id;
+            // Objects released with their whole group are gone already.
+            if (this._idToObjectGroupName[id] !== objectGroupName)
+                continue;
+            this._releaseObject(id);
+            released[id] = true;
+        }
+        var remaining = [];
+        for (var i = 0; i < group.length; ++i) {
+            if (!released[group[i]])
+                push(remaining, group[i]);
+        }
+        this._objectGroups[objectGroupName] = remaining;
+    },
+
     /**
      * @param {string} objectId
      */
@@ -695,6 +912,100 @@ InjectedScript.prototype = {
         return this._evaluateAndWrap(null, expression, objectGroup, injectCommandLineAPI, returnByValue, generatePreview);
     },
 
+    /**
+     * Compiles a script in the global context without running it.
+     * @param {string} expression
+     * @param {string} sourceURL
+     * @param {boolean} persistScript
+     * @return {!Object} the id of the compiled script, or the details of its syntax error
+     */
+    compileScript: function(expression, sourceURL, persistScript)
+    {
+        var run;
+        try {
+            run = this._compileGlobalScript(expression, sourceURL);
+        } catch (e) {
+            // Node prefixes the stack of syntax errors with the location:
+            // "file:line\nsource line\n    ^". There is no caret for some
+            // errors, like "Unexpected end of input".
+            var location = /^[^\n]*:(\d+)\n(?:[^\n]*\n( *)\^)?/.exec(typeof e.stack === "string" ? e.stack : "");
+            return {
+                exceptionDetails: {
+                    text: toString(e),
+                    url: sourceURL,
+                    line: location ? Number(location[1]) : 0,
+                    column: location && location[2] !== undefined ? location[2].length : 0,
+                    __proto__: null
+                },
+                __proto__: null
+            };
+        }
+        if (!persistScript)
+            return { __proto__: null };
+        var scriptId = String(++this._lastCompiledScriptId);
+        this._compiledScripts[scriptId] = run;
+        return { scriptId: scriptId, __proto__: null };
+    },
+
+    /**
+     * @param {string} scriptId
+     * @param {string} objectGroup
+     * @return {!Object|string}
+     */
+    runScript: function(scriptId, objectGroup)
+    {
+        var run = this._compiledScripts[scriptId];
+        if (!run)
+            return "Script execution failed";
+        var result;
+        try {
+            result = run();
+        } catch (e) {
+            var thrown = this._createThrownValue(e, objectGroup, false, { text: toString(e), __proto__: null });
+            return { result: thrown.result, exceptionDetails: thrown.exceptionDetails, __proto__: null };
+        }
+        return { result: this._wrapObject(result, objectGroup), __proto__: null };
+    },
+
+    /**
+     * @param {string} expression
+     * @param {string} sourceURL
+     * @return {function():*} runs the script in the global context
+     */
+    _compileGlobalScript: function(expression, sourceURL)
+    {
+        var vm = this._vmModule();
+        if (vm) {
+            var script = vm.createScript(expression, sourceURL || "");
+            return function() { return script.runInThisContext(); };
+        }
+        // Without node's vm, check the syntax as a function body and evaluate
+        // the source when run. This is only approximate: function bodies also
+        // accept return statements, which then throw when the script runs, and
+        // the errors carry no location. Exact compile errors are node-only.
+        new inspectedWindow.Function(expression);
+        if (sourceURL)
+            expression += "\n//# sourceURL=" + sourceURL;
+        var globalEval = inspectedWindow.eval;
+        return function() { return globalEval(expression); };
+    },
+
+    /**
+     * @return {?Object} node's vm module, if the target is node
+     */
+    _vmModule: function()
+    {
+        var process = inspectedWindow.process;
+        var mainModule = process && process.mainModule;
+        if (!mainModule || typeof mainModule.require !== "function")
+            return null;
+        try {
+            return mainModule.require("vm");
+        } catch (e) {
+            return null;
+        }
+    },
+
     /**
      * @param {string} objectId
      * @param {string} expression
@@ -883,6 +1194,28 @@ InjectedScript.prototype = {
         return result;
     },
 
+    /**
+     * Wraps the scopes and receiver of a call frame that were looked up
+     * through the debug agent rather than a JavaScriptCallFrame.
+     * @param {!Array.<!Object>} scopeObjects
+     * @param {!Array.<number>} scopeTypes
+     * @param {*} thisObject
+     * @return {!Object}
+     */
+    wrapDebuggerScopes: function(scopeObjects, scopeTypes, thisObject)
+    {
+        var callFrame = {
+            scopeChain: scopeObjects,
+            scopeType: function(index) { return scopeTypes[index]; },
+            __proto__: null
+        };
+        return {
+            scopeChain: InjectedScript.CallFrameProxy.prototype._wrapScopeChain(callFrame),
+            "this": this._wrapObject(thisObject, "backtrace"),
+            __proto__: null
+        };
+    },
+
     /**
      * @param {!JavaScriptCallFrame} topCallFrame
      * @param {!Array.<!JavaScriptCallFrame>} asyncCallStacks
@@ -921,6 +1254,180 @@ InjectedScript.prototype = {
         return result;
     },
 
+    /**
+     * @param {number} maxDepth
+     * @return {boolean}
+     */
+    setAsyncCallStackDepth: function(maxDepth)
+    {
+        this._asyncCallTracker.setMaxDepth(maxDepth);
+        return true;
+    },
+
+    /**
+     * Disabling forwarding also releases the arguments already forwarded.
+     * @param {boolean} enabled
+     * @return {boolean}
+     */
+    setConsoleForwardingEnabled: function(enabled)
+    {
+        this._consoleForwarder.setEnabled(enabled);
+        if (!enabled)
+            this.releaseObjectGroup("console");
+        return true;
+    },
+
+    /**
+     * @return {?Object} the stack trace that scheduled the running callback
+     */
+    asyncStackTrace: function()
+    {
+        return this._asyncCallTracker.currentStackTrace();
+    },
+
+    /**
+     * @return {!Array.<!Object>} the messages posted for the adapter since the last call
+     */
+    drainAdapterMessages: function()
+    {
+        var messages = this._adapterMessages;
+        this._adapterMessages = [];
+        return messages;
+    },
+
+    /**
+     * Queues a message for the adapter and makes sure it gets notified.
+     * @param {!Object} message
+     */
+    _postAdapterMessage: function(message)
+    {
+        // Nobody drains the queue once the adapter is gone.
+        if (this._adapterMessages.length >= InjectedScript.maxAdapterMessages) {
+            var dropped = this._adapterMessages.shift();
+            if (dropped.type === "console")
+                this._consoleForwarder.releaseMessage(dropped.message);
+        }
+        push(this._adapterMessages, message);
+        if (this._adapterMessages.length > 1)
+            return;
+        // Compile events are not sent while the debugger is active (e.g. when
+        // evaluating breakpoint conditions), so notify from the next tick.
+        var notificationId = ++this._lastAdapterNotificationId;
+        var notify = function()
+        {
+            // Unique sources so that the eval cache doesn't swallow the compile.
+            InjectedScriptHost.eval("/*" + InjectedScript.adapterNotificationURL + " " + notificationId + "*/\n//# sourceURL=" + InjectedScript.adapterNotificationURL);
+        };
+        if (nextTick)
+            nextTick.call(inspectedWindow.process, notify);
+        else
+            notify();
+    },
+
+    /**
+     * Called from the condition of a logpoint.
+     * @param {string} breakpointId
+     * @param {!Array.<*>} parts Template strings and values.
+     * @return {boolean} false, so that the target never pauses
+     */
+    logpoint: function(breakpointId, parts)
+    {
+        var text = "";
+        for (var i = 0; i < parts.length; ++i)
+            text += typeof parts[i] === "string" ? parts[i] : this._formatLogValue(parts[i]);
+        this._postAdapterMessage({ type: "logpoint", breakpointId: breakpointId, text: text, __proto__: null });
+        return false;
+    },
+
+    /**
+     * Describes an exception for the exception filters of the adapter.
+     * @param {*} exception
+     * @return {!{type: string, message: string}}
+     */
+    describeException: function(exception)
+    {
+        var type = exception === null ? "null" : typeof exception;
+        var message = "";
+        try {
+            if (type === "object" || type === "function") {
+                if (typeof exception.constructor === "function" && exception.constructor.name)
+                    type = exception.constructor.name;
+                message = toString("message" in exception ? exception.message : exception);
+            } else {
+                message = toString(exception);
+            }
+        } catch (e) {
+        }
+        return { type: type, message: message, __proto__: null };
+    },
+
+    /**
+     * Asks the adapter to pause on the next calls to a function.
+     * @param {*} fn
+     */
+    debugFunction: function(fn)
+    {
+        if (typeof fn !== "function" || this._debuggedFunctionId(fn))
+            return;
+        var functionId = ++this._lastDebuggedFunctionId;
+        this._debuggedFunctions[functionId] = fn;
+        this._postAdapterMessage({ type: "debugFunction", functionId: functionId, name: fn.name || "(anonymous function)", __proto__: null });
+    },
+
+    /**
+     * @param {*} fn
+     */
+    undebugFunction: function(fn)
+    {
+        var functionId = this._debuggedFunctionId(fn);
+        if (!functionId)
+            return;
+        delete this._debuggedFunctions[functionId];
+        this._postAdapterMessage({ type: "undebugFunction", functionId: functionId, __proto__: null });
+    },
+
+    /**
+     * Used by the adapter to set the breakpoint of a function passed to debug().
+     * @param {number} functionId
+     * @return {!Function|undefined}
+     */
+    debuggedFunction: function(functionId)
+    {
+        return this._debuggedFunctions[functionId];
+    },
+
+    /**
+     * @param {*} fn
+     * @return {number} the id of the function if passed to debug(), 0 otherwise
+     */
+    _debuggedFunctionId: function(fn)
+    {
+        for (var functionId in this._debuggedFunctions) {
+            if (this._debuggedFunctions[functionId] === fn)
+                return Number(functionId);
+        }
+        return 0;
+    },
+
+    /**
+     * @param {*} value
+     * @return {string}
+     */
+    _formatLogValue: function(value)
+    {
+        if (this.isPrimitiveValue(value) || value === null || typeof value === "function" || isSymbol(value))
+            return toStringDescription(value);
+        if (value instanceof inspectedWindow.Error)
+            return toString(value);
+        try {
+            var json = JSON.stringify(value);
+            if (typeof json === "string")
+                return json;
+        } catch (e) {
+        }
+        return toString(this._describe(value));
+    },
+
     /**
      * @param {!JavaScriptCallFrame} topCallFrame
      * @param {string} callFrameId
@@ -1139,6 +1646,14 @@ InjectedScript.prototype = {
             return className;
         }
 
+        try {
+            if (subtype === "typedarray" && typeof obj.length === "number")
+                return className + "(" + obj.length + ")";
+            if ((subtype === "map" || subtype === "set") && typeof obj.size === "number")
+                return className + "(" + obj.size + ")";
+        } catch (e) {
+        }
+
         // NodeList in JSC is a function, check for array prior to this.
         if (typeof obj === "function")
             return toString(obj);
@@ -1888,7 +2403,449 @@ CommandLineAPIImpl.prototype = {
     }
 }
 
+/**
+ * Records the stacks that schedule timers, ticks, event listeners and promise
+ * reactions, so that a pause inside a callback can show where it came from.
+ * @constructor
+ */
+function AsyncCallTracker()
+{
+    /** @type {number} */
+    this._maxDepth = 0;
+    /** @type {?Object} */
+    this._currentAsyncCall = null;
+    /** @type {!Array.<function()>} */
+    this._uninstallers = [];
+}
+
+AsyncCallTracker.prototype = {
+    /**
+     * @param {number} maxDepth
+     */
+    setMaxDepth: function(maxDepth)
+    {
+        var wasEnabled = this._maxDepth > 0;
+        this._maxDepth = maxDepth;
+        if (maxDepth > 0 && !wasEnabled)
+            this._install();
+        else if (maxDepth <= 0 && wasEnabled)
+            this._uninstall();
+    },
+
+    /**
+     * @return {?Object}
+     */
+    currentStackTrace: function()
+    {
+        return this._currentAsyncCall;
+    },
+
+    _install: function()
+    {
+        this._instrument(inspectedWindow, "setTimeout", "setTimeout", 1);
+        this._instrument(inspectedWindow, "setInterval", "setInterval", 1);
+        this._instrument(inspectedWindow, "setImmediate", "setImmediate", 1);
+        var process = inspectedWindow.process;
+        if (process)
+            this._instrument(process, "nextTick", "process.nextTick", 1);
+        var Promise = inspectedWindow.Promise;
+        if (Promise && Promise.prototype)
+            this._instrument(Promise.prototype, "then", "Promise.then", 2);
+        var emitterPrototype = this._eventEmitterPrototype();
+        if (emitterPrototype)
+            this._instrumentEventEmitter(emitterPrototype);
+    },
+
+    _uninstall: function()
+    {
+        for (var i = 0; i < this._uninstallers.length; ++i)
+            this._uninstallers[i]();
+        this._uninstallers = [];
+        this._currentAsyncCall = null;
+    },
+
+    /**
+     * @param {!Object} object
+     * @param {string} name
+     * @param {function(function(...)):function(...)} createReplacement
+     */
+    _replaceMethod: function(object, name, createReplacement)
+    {
+        var original = object[name];
+        if (typeof original !== "function")
+            return;
+        var replacement = createReplacement(original);
+        object[name] = replacement;
+        push(this._uninstallers, function()
+        {
+            if (object[name] === replacement)
+                object[name] = original;
+        });
+    },
+
+    /**
+     * Makes the first callbackCount function arguments of object[name] run
+     * with the stack of the call that scheduled them.
+     * @param {!Object} object
+     * @param {string} name
+     * @param {string} description
+     * @param {number} callbackCount
+     */
+    _instrument: function(object, name, description, callbackCount)
+    {
+        var tracker = this;
+        this._replaceMethod(object, name, function(original)
+        {
+            function instrumented()
+            {
+                var args = slice(arguments);
+                var record = null;
+                for (var i = 0; i < callbackCount && i < args.length; ++i) {
+                    if (typeof args[i] !== "function")
+                        continue;
+                    record = record || tracker._record(description, instrumented);
+                    args[i] = tracker._wrapCallback(args[i], record);
+                }
+                return original.apply(this, args);
+            }
+            return instrumented;
+        });
+    },
+
+    /**
+     * Makes each listener run with the stack that registered it.
+     * removeListener() matches wrappers by their listener property, as it
+     * does for the ones once() makes. Those remove themselves by identity, so
+     * they are left alone.
+     * @param {!Object} emitterPrototype
+     */
+    _instrumentEventEmitter: function(emitterPrototype)
+    {
+        var tracker = this;
+        var createAddListener = function(original)
+        {
+            function instrumentedAddListener(type, listener)
+            {
+                if (typeof listener !== "function" || listener.listener)
+                    return original.apply(this, arguments);
+                var record = tracker._record(typeof type === "string" ? type : "EventEmitter.addListener", instrumentedAddListener);
+                var wrapped = tracker._wrapCallback(listener, record);
+                wrapped.listener = listener;
+                return original.call(this, type, wrapped);
+            }
+            return instrumentedAddListener;
+        };
+        this._replaceMethod(emitterPrototype, "addListener", createAddListener);
+        this._replaceMethod(emitterPrototype, "on", createAddListener);
+    },
+
+    /**
+     * @return {?Object}
+     */
+    _eventEmitterPrototype: function()
+    {
+        // The process object is an EventEmitter; require() is not available here.
+        for (var o = inspectedWindow.process; o; o = o.__proto__) {
+            if (Object.prototype.hasOwnProperty.call(o, "emit") && Object.prototype.hasOwnProperty.call(o, "addListener"))
+                return o;
+        }
+        return null;
+    },
+
+    /**
+     * @param {string} description
+     * @param {function(...)} topFunction
+     * @return {!Object}
+     */
+    _record: function(description, topFunction)
+    {
+        var record = {
+            description: description,
+            callFrames: captureCallFrames(topFunction),
+            __proto__: null
+        };
+        var parent = this._truncate(this._currentAsyncCall, this._maxDepth - 1);
+        if (parent)
+            record.asyncStackTrace = parent;
+        return record;
+    },
+
+    /**
+     * Copies at most depth records of a chain, so that long running callback
+     * chains don't retain all of their ancestors.
+     * @param {?Object} record
+     * @param {number} depth
+     * @return {?Object}
+     */
+    _truncate: function(record, depth)
+    {
+        if (!record || depth <= 0)
+            return null;
+        var copy = {
+            description: record.description,
+            callFrames: record.callFrames,
+            __proto__: null
+        };
+        var parent = this._truncate(record.asyncStackTrace, depth - 1);
+        if (parent)
+            copy.asyncStackTrace = parent;
+        return copy;
+    },
+
+    /**
+     * @param {*} callback
+     * @param {!Object} record
+     * @return {*}
+     */
+    _wrapCallback: function(callback, record)
+    {
+        if (typeof callback !== "function")
+            return callback;
+        var tracker = this;
+        return function()
+        {
+            var previous = tracker._currentAsyncCall;
+            tracker._currentAsyncCall = record;
+            try {
+                return callback.apply(this, arguments);
+            } finally {
+                tracker._currentAsyncCall = previous;
+            }
+        };
+    }
+}
+
+/**
+ * Wraps the console methods of the target so that their calls also reach the
+ * DevTools, as messages posted to the adapter.
+ * @param {!InjectedScript} injectedScript
+ * @constructor
+ */
+function ConsoleForwarder(injectedScript)
+{
+    /** @type {!InjectedScript} */
+    this._injectedScript = injectedScript;
+    /** @type {boolean} */
+    this._enabled = false;
+    /** @type {boolean} */
+    this._forwarding = false;
+    /** @type {!Array.<function()>} */
+    this._uninstallers = [];
+    /** @type {!Object.<string, number>} */
+    this._counts = { __proto__: null };
+    /** @type {!Object.<string, number>} */
+    this._timers = { __proto__: null };
+    /** @type {!Array.<!Object>} */
+    this._retainedMessages = [];
+}
+
+/**
+ * Number of forwarded messages whose arguments are kept for the DevTools to
+ * inspect. The arguments of older messages are released.
+ * @type {number}
+ * @const
+ */
+ConsoleForwarder.maxRetainedMessages = 1000;
+
+/**
+ * Console message type and level of the forwarded methods.
+ * @type {!Object.<string, !{type: string, level: string}>}
+ * @const
+ */
+ConsoleForwarder.methods = {
+    log: { type: "log", level: "log" },
+    info: { type: "log", level: "info" },
+    warn: { type: "log", level: "warning" },
+    error: { type: "log", level: "error" },
+    debug: { type: "log", level: "debug" },
+    dir: { type: "dir", level: "log" },
+    table: { type: "table", level: "log" },
+    trace: { type: "trace", level: "log" },
+    assert: { type: "assert", level: "error" },
+    count: { type: "log", level: "debug" },
+    time: { type: "timing", level: "debug" },
+    timeEnd: { type: "timing", level: "debug" },
+    __proto__: null
+}
+
+ConsoleForwarder.prototype = {
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled: function(enabled)
+    {
+        if (enabled && !this._enabled)
+            this._install();
+        else if (!enabled && this._enabled)
+            this._uninstall();
+        this._enabled = enabled;
+    },
+
+    _install: function()
+    {
+        var console = inspectedWindow.console;
+        if (!console)
+            return;
+        for (var name in ConsoleForwarder.methods)
+            this._wrapMethod(console, name);
+    },
+
+    _uninstall: function()
+    {
+        for (var i = 0; i < this._uninstallers.length; ++i)
+            this._uninstallers[i]();
+        this._uninstallers = [];
+    },
+
+    /**
+     * @param {!Object} console
+     * @param {string} name
+     */
+    _wrapMethod: function(console, name)
+    {
+        var forwarder = this;
+        var original = console[name];
+        // Unwrap what a previous injection left behind, its adapter is gone.
+        if (original && original.__originalConsoleMethod)
+            original = original.__originalConsoleMethod;
+        function forwarding()
+        {
+            // Node implements some methods on top of others, like trace() on
+            // error(); only report the outermost call.
+            if (forwarder._forwarding)
+                return typeof original === "function" ? original.apply(this, arguments) : undefined;
+            forwarder._forwarding = true;
+            try {
+                forwarder._forward(name, slice(arguments), forwarding);
+                // Methods node doesn't have are only shown in the DevTools.
+                if (typeof original === "function")
+                    return original.apply(this, arguments);
+            } finally {
+                forwarder._forwarding = false;
+            }
+        }
+        Object.defineProperty(forwarding, "__originalConsoleMethod", { value: original, configurable: true });
+        console[name] = forwarding;
+        push(this._uninstallers, function()
+        {
+            if (console[name] !== forwarding)
+                return;
+            if (original)
+                console[name] = original;
+            else
+                delete console[name];
+        });
+    },
+
+    /**
+     * @param {string} name
+     * @param {!Array.<*>} args
+     * @param {function(...)} topFunction
+     */
+    _forward: function(name, args, topFunction)
+    {
+        var injectedScript = this._injectedScript;
+        var parameters = args;
+        var text = "";
+        var label;
+        switch (name) {
+        case "assert":
+            if (args[0])
+                return;
+            parameters = slice(args, 1);
+            text = "Assertion failed";
+            break;
+        case "count":
+            label = this._label(args);
+            this._counts[label] = (this._counts[label] || 0) + 1;
+            parameters = [];
+            text = label + ": " + this._counts[label];
+            break;
+        case "time":
+            label = this._label(args);
+            this._timers[label] = Date.now();
+            return;
+        case "timeEnd":
+            label = this._label(args);
+            if (!(label in this._timers))
+                return;
+            parameters = [];
+            text = label + ": " + (Date.now() - this._timers[label]) + "ms";
+            delete this._timers[label];
+            break;
+        case "trace":
+            parameters = [];
+            text = "console.trace()";
+            break;
+        }
+
+        var message = {
+            source: "console-api",
+            type: ConsoleForwarder.methods[name].type,
+            level: ConsoleForwarder.methods[name].level,
+            text: text,
+            timestamp: Date.now() / 1000,
+            stackTrace: captureCallFrames(topFunction),
+            __proto__: null
+        };
+        if (name === "table" && args.length) {
+            message.parameters = [injectedScript.wrapTable(true, args[0], args[1])];
+        } else if (parameters.length) {
+            // Only primitives make it into the text: converting objects
+            // would run their getters, toString or toJSON in the target.
+            var texts = [];
+            message.parameters = [];
+            for (var i = 0; i < parameters.length; ++i) {
+                push(message.parameters, injectedScript._wrapObject(parameters[i], "console", false, true));
+                if (injectedScript.isPrimitiveValue(parameters[i]) || parameters[i] === null)
+                    push(texts, toStringDescription(parameters[i]));
+            }
+            if (!text)
+                message.text = texts.join(" ");
+        }
+        this._retain(message);
+        injectedScript._postAdapterMessage({ type: "console", message: message, __proto__: null });
+    },
+
+    /**
+     * @param {!Array.<*>} args
+     * @return {string} the label passed to count(), time() or timeEnd()
+     */
+    _label: function(args)
+    {
+        return args.length && args[0] !== undefined ? toString(args[0]) : "default";
+    },
+
+    /**
+     * Keeps the arguments of the last messages only.
+     * @param {!Object} message
+     */
+    _retain: function(message)
+    {
+        push(this._retainedMessages, message);
+        if (this._retainedMessages.length > ConsoleForwarder.maxRetainedMessages)
+            this.releaseMessage(this._retainedMessages.shift());
+    },
+
+    /**
+     * Releases the arguments of a forwarded message.
+     * @param {!Object} message
+     */
+    releaseMessage: function(message)
+    {
+        var objectIds = [];
+        var parameters = message.parameters || [];
+        for (var i = 0; i < parameters.length; ++i) {
+            if (parameters[i].objectId)
+                push(objectIds, parameters[i].objectId);
+        }
+        this._injectedScript._releaseObjectsInGroup("console", objectIds);
+    }
+}
+
 injectedScript._commandLineAPIImpl = new CommandLineAPIImpl();
+injectedScript._asyncCallTracker = new AsyncCallTracker();
+injectedScript._consoleForwarder = new ConsoleForwarder(injectedScript);
 return injectedScript;
 }
 
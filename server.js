@@ -15,6 +15,7 @@ var injectedScript = require('./devtools/InjectedScriptSource.js');
 var EventEmitter = require('events').EventEmitter;
 var Promise = require('es6-promise').Promise;
 var DebugTarget = require('./debug_target.js').DebugTarget;
+var sourceMaps = require('./source_maps.js');
 
 var argv = optimist
     .usage([
@@ -41,12 +42,42 @@ var argv = optimist
       alias: 'log-network',
       default: false
     })
+    .options('b', {
+      describe: 'Regular expression for script names that stepping skips ' +
+          '(may be repeated). Defaults to node core modules and ' +
+          'node_modules for node targets.',
+      alias: 'blackbox'
+    })
+    .options('e', {
+      describe: 'Exception filter rule, like type=TypeError or ' +
+          'message!=ENOENT (may be repeated).',
+      alias: 'exception-filter'
+    })
     .argv;
 if (argv.help) {
   optimist.showHelp();
   return;
 }
 
+/**
+ * Blackbox patterns given on the command line, applied to all relays.
+ * @type {!Array.<!RegExp>}
+ */
+var commandLineBlackboxPatterns = [].concat(argv['blackbox'] || []).map(
+    function(pattern) {
+      return new RegExp(pattern);
+    });
+
+/**
+ * Blackbox patterns for node targets when none are given on the command line:
+ * node core modules and installed packages.
+ * @type {!Array.<!RegExp>}
+ */
+var NODE_BLACKBOX_PATTERNS = [
+  /^(internal\/)?[\w-]+\.js$/,
+  /[\/\\]node_modules[\/\\]/
+];
+
 console.log('node-devtools adapter listening on localhost:' + argv['port']);
 console.log('Open the Chrome DevTools and connect to your debug target:');
 console.log('');
@@ -111,6 +142,184 @@ devToolsServer.on('connection', function(devToolsSocket) {
   });
 });
 
+/**
+ * Prefix of breakpoint conditions that are log templates rather than
+ * JavaScript expressions, as in 'log: user={user.id}'.
+ * @type {string}
+ */
+var LOGPOINT_PREFIX = 'log:';
+
+/**
+ * Compiles a logpoint template like 'user={user.id}' to an expression that
+ * evaluates to an array of the literal strings and the values of the
+ * expressions in braces.
+ * @param {string} template Log template.
+ * @return {string} JavaScript expression.
+ * @throws {Error} If the braces are unbalanced or the expressions in them are
+ *     not valid JavaScript.
+ */
+var compileLogTemplate = function(template) {
+  var parts = [];
+  var literal = '';
+  for (var i = 0; i < template.length; ++i) {
+    if (template[i] != '{') {
+      literal += template[i];
+      continue;
+    }
+    // Find the matching brace, allowing for object literals, blocks and
+    // braces in string literals.
+    var depth = 1;
+    var quote = null;
+    var end = i + 1;
+    for (; end < template.length && depth; ++end) {
+      var c = template[end];
+      if (quote) {
+        if (c == '\\') {
+          ++end;
+        } else if (c == quote) {
+          quote = null;
+        }
+      } else if (c == '"' || c == '\'' || c == '`') {
+        quote = c;
+      } else if (c == '{') {
+        ++depth;
+      } else if (c == '}') {
+        --depth;
+      }
+    }
+    if (depth) {
+      throw Error('Unbalanced braces in log template: ' + template);
+    }
+    if (literal) {
+      parts.push(JSON.stringify(literal));
+      literal = '';
+    }
+    parts.push('(' + template.substring(i + 1, end - 1) + ')');
+    i = end - 1;
+  }
+  if (literal) {
+    parts.push(JSON.stringify(literal));
+  }
+  var expression = '[' + parts.join(', ') + ']';
+  // Catch syntax errors now; in the target they would only be logged on hits.
+  try {
+    new Function('return ' + expression + ';');
+  } catch (e) {
+    throw Error('Invalid expression in log template: ' + e.message);
+  }
+  return expression;
+};
+
+/**
+ * Prefix of breakpoint conditions that are hit counts, as in 'hit: ==5' (only
+ * the 5th hit), 'hit: %5' (every 5th hit) or 'hit: >5' (after 5 hits).
+ * @type {string}
+ */
+var HIT_COUNT_PREFIX = 'hit:';
+
+/**
+ * Ignore count that keeps a breakpoint from pausing for good.
+ * @type {number}
+ */
+var MAX_IGNORE_COUNT = 0x7fffffff;
+
+/**
+ * Prefix of the ids of breakpoints set by debug(fn).
+ * @type {string}
+ */
+var FUNCTION_BREAKPOINT_PREFIX = 'debug:';
+
+/**
+ * Matches adapter commands typed in the console, as in '.hits'. Such input is
+ * not valid JavaScript, so it can't shadow an expression.
+ * @type {!RegExp}
+ */
+var CONSOLE_COMMAND_REGEX = /^\s*\.(\w+)\s*([\s\S]*)$/;
+
+/**
+ * Parses an exception filter rule.
+ * Rules are '<field>=<regexp>' to pause only on matching exceptions, or
+ * '<field>!=<regexp>' to never pause on them, where field is 'type' (the
+ * constructor name), 'message' or 'script' (the throwing script path).
+ * @param {string} rule Rule text.
+ * @return {!{field: string, exclude: boolean, pattern: !RegExp, text: string}}
+ *     Parsed rule.
+ */
+var parseExceptionFilter = function(rule) {
+  var match = /^\s*(type|message|script)\s*(!?=)\s*(.*)$/.exec(rule);
+  if (!match) {
+    throw Error('Invalid exception filter: ' + rule);
+  }
+  return {
+    'field': match[1],
+    'exclude': match[2] == '!=',
+    'pattern': new RegExp(match[3]),
+    'text': match[1] + match[2] + match[3]
+  };
+};
+
+/**
+ * Exception filter rules given on the command line, applied to all relays.
+ * @type {!Array.<!Object>}
+ */
+var commandLineExceptionFilters = [].concat(argv['exception-filter'] || []).map(
+    parseExceptionFilter);
+
+/**
+ * Exposes V8 scope objects to the injected script by handle, as scope0,
+ * scope1 and so on.
+ * @param {!Array.<!Object>} scopes Scopes from V8 'scopes' or 'scope'
+ *     responses.
+ * @param {!Array.<!{name: string, handle: number}>} additionalContext
+ *     evaluateOnInjectedScript_ context the scope objects are added to.
+ * @return {!{names: string, types: string}} JavaScript array literals of the
+ *     scope object names and of the scope types.
+ */
+var addScopesToContext = function(scopes, additionalContext) {
+  var scopeNames = [];
+  var scopeTypes = [];
+  for (var i = 0; i < scopes.length; ++i) {
+    additionalContext.push({
+      'name': 'scope' + i,
+      'handle': scopes[i]['object']['ref']
+    });
+    scopeNames.push('scope' + i);
+    scopeTypes.push(scopes[i]['type']);
+  }
+  return {
+    'names': '[' + scopeNames.join(', ') + ']',
+    'types': JSON.stringify(scopeTypes)
+  };
+};
+
+/**
+ * Name of the scripts the injected script compiles to notify the adapter of
+ * pending messages. Must match InjectedScript.adapterNotificationURL.
+ * @type {string}
+ */
+var ADAPTER_NOTIFICATION_URL = '__node_devtools_notification__';
+
+/**
+ * How long closing relays wait for the target to undo the instrumentation of
+ * the injected script, in milliseconds.
+ * @type {number}
+ */
+var UNINSTRUMENT_TIMEOUT_MS = 1000;
+
+/**
+ * Start of the function node wraps modules in. It adds no lines, but shifts
+ * the columns of the first one.
+ * @type {string}
+ */
+var NODE_MODULE_PREFIX =
+    '(function (exports, require, module, __filename, __dirname) { ';
+
+/**
+ * Matches the end of the function node wraps modules in.
+ * @type {!RegExp}
+ */
+var NODE_MODULE_SUFFIX_REGEX = /\n\}\);\s*$/;
+
 /**
  * All open relays.
  * @type {!Array.<!Relay>}
@@ -145,6 +354,142 @@ var Relay = function(devToolsSocket, debugTarget) {
    */
   this.closed_ = false;
 
+  /**
+   * Mapping between DevTools and V8 breakpoint handles.
+   * @type {!Object.<string, number>}
+   * @private
+   */
+  // FIXME(pfeldman): clean up on clearing global object.
+  this.breakpointIdToV8Id_ = {};
+
+  /**
+   * URLs of the breakpoints set by URL, keyed by DevTools breakpoint id.
+   * Used to resolve them in scripts that are loaded later on.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.breakpointIdToUrl_ = {};
+
+  /**
+   * Whether breakpoints are active, as toggled by the DevTools.
+   * @type {boolean}
+   * @private
+   */
+  this.breakpointsActive_ = true;
+
+  /**
+   * Whether all pauses are skipped, as toggled by the DevTools.
+   * @type {boolean}
+   * @private
+   */
+  this.skipAllPauses_ = false;
+
+  /**
+   * Pause on exceptions state requested by the DevTools: 'none', 'all' or
+   * 'uncaught'. Kept so that it can be restored when pauses are unskipped.
+   * @type {string}
+   * @private
+   */
+  this.pauseOnExceptionsState_ = 'none';
+
+  /**
+   * V8 id of the one-shot breakpoint set by Debugger.continueToLocation, if
+   * any. It is cleared on the next pause.
+   * @type {?number}
+   * @private
+   */
+  this.oneShotV8BreakpointId_ = null;
+
+  /**
+   * Cache of script sources, keyed by script id.
+   * Scripts don't change once compiled unless live edited through the relay,
+   * so this saves fetching large sources again for every search.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.scriptSources_ = {};
+
+  /**
+   * Module wrappers node added to scripts, keyed by script id. They are
+   * stripped from the sources shown in the DevTools.
+   * @type {!Object.<string, !{prefix: string, suffix: string}>}
+   * @private
+   */
+  this.moduleWrappers_ = {};
+
+  /**
+   * Promise resolved once all the Debugger.scriptParsed events fired so far
+   * have been sent. Their sources are fetched concurrently, but they are sent
+   * in order and before any Debugger.paused event that may refer to them.
+   * @type {!Promise}
+   * @private
+   */
+  this.scriptsParsed_ = Promise.resolve();
+
+  /**
+   * Script ids keyed by script name, used to locate the frames of async
+   * stack traces that are captured by the injected script.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.scriptNameToId_ = {};
+
+  /**
+   * Maximum number of async call chains to report, or 0 when async call stacks
+   * are disabled.
+   * @type {number}
+   * @private
+   */
+  this.asyncCallStackDepth_ = 0;
+
+  /**
+   * Blackbox patterns set by the DevTools, in addition to the command line
+   * ones.
+   * @type {!Array.<!RegExp>}
+   * @private
+   */
+  this.blackboxPatterns_ = [];
+
+  /**
+   * V8 step action of the step in progress ('in', 'next' or 'out'), or null
+   * when not stepping. Used to step through blackboxed scripts.
+   * @type {?string}
+   * @private
+   */
+  this.stepAction_ = null;
+
+  /**
+   * Locations of logpoints, keyed by DevTools breakpoint id.
+   * @type {!Object.<string, !{url: string, scriptId: string,
+   *     lineNumber: number, columnNumber: number}>}
+   * @private
+   */
+  this.logpoints_ = {};
+
+  /**
+   * Hit count conditions, keyed by DevTools breakpoint id.
+   * @type {!Object.<string, !{operator: string, count: number}>}
+   * @private
+   */
+  this.hitConditions_ = {};
+
+  /**
+   * Functions passed to debug() in the console, keyed by injected script
+   * function id. Their breakpoints are keyed by
+   * FUNCTION_BREAKPOINT_PREFIX + function id.
+   * @type {!Object.<string, !{name: string}>}
+   * @private
+   */
+  this.debuggedFunctions_ = {};
+
+  /**
+   * Exception filter rules added from the console, applied after the command
+   * line ones.
+   * @type {!Array.<!Object>}
+   * @private
+   */
+  this.exceptionFilters_ = [];
+
   /**
    * Dispatch table that matches methods from the DevTools.
    * For example, 'Debugger.enable' -> fn that handles the message.
@@ -164,6 +509,17 @@ var Relay = function(devToolsSocket, debugTarget) {
    */
   this.targetDispatch_ = this.buildTargetDispatch_();
 
+  /**
+   * Dispatch table that matches adapter commands typed in the console.
+   * For example, 'hits' -> fn that handles '.hits'.
+   * Each function receives the text after the command name and the
+   * resolve/reject functions for a promise that responds with the text to
+   * print.
+   * @type {!Object.<function(string, Function, Function)>}
+   * @private
+   */
+  this.consoleCommandDispatch_ = this.buildConsoleCommandDispatch_();
+
   // DevTools socket.
   this.devTools_.on('message', (function(data, flags) {
     this.processDevToolsMessage_(data);
@@ -238,37 +594,977 @@ Relay.prototype.processDevToolsMessage_ = function(data) {
       }
     }).bind(this), (function(err) {
       // TODO(pfeldman): proper error response?
+      var error = { 'message': err.toString(), 'code': -32001 };
+      if (err.data) {
+        error['data'] = err.data;
+      }
       var responseData = JSON.stringify({
         'id': reqId,
-        'error': { 'message': err.toString(), 'code': -32001 }
+        'error': error
       });
       this.devTools_.send(responseData);
       if (argv['log-network']) {
         console.log('[->DT]', responseData);
       }
-    }).bind(this));
-  } else {
-    // TODO(pfeldman): anything that isn't a method?
-    console.error('Unknown DevTools message: ' + packet);
+    }).bind(this));
+  } else {
+    // TODO(pfeldman): anything that isn't a method?
+    console.error('Unknown DevTools message: ' + packet);
+  }
+};
+
+/**
+ * Sends a command to the DevTools.
+ * @param {string} method Method, such as 'Debugger.paused'.
+ * @param {Object} params Parameters, if any.
+ * @private
+ */
+Relay.prototype.fireDevToolsEvent_ = function(method, params) {
+  var data = JSON.stringify({
+    'method': method,
+    'params': params
+  });
+  this.devTools_.send(data);
+
+  if (argv['log-network']) {
+    console.log('[->DT]', data);
+  }
+};
+
+/**
+ * Evaluates an expression against the injected script in the target and
+ * parses its result.
+ * @param {string} expression Expression producing a JSON-serializable value,
+ *     usually a call on __is.
+ * @param {Array.<!{name: string, handle: number}>=} opt_additionalContext
+ *     V8 handles to expose to the expression under the given names.
+ * @return {!Promise} Promise resolved with the parsed value.
+ * @private
+ */
+Relay.prototype.evaluateOnInjectedScript_ = function(expression,
+    opt_additionalContext) {
+  // V8 will trim string values in protocol messages. All but the property
+  // names! Abuse it.
+  var wrapped = 'var result = {};' +
+      'result[JSON.stringify(' + expression + ')] = 1;' +
+      'result;';
+  var args = {
+    'expression': wrapped,
+    'global': true
+  };
+  if (opt_additionalContext) {
+    args['additional_context'] = opt_additionalContext;
+  }
+  return this.debugTarget_.sendCommand('evaluate', args).then(
+      function(response) {
+        // JSON.stringify() turns undefined results into the 'undefined' key.
+        var json = response['properties'][0]['name'];
+        return json == 'undefined' ? undefined : JSON.parse(json);
+      });
+};
+
+/**
+ * Gets the source of a target script, from the cache if possible.
+ * @param {string} scriptId Script id.
+ * @return {!Promise} Promise resolved with the source, or null if there is no
+ *     such script.
+ * @private
+ */
+Relay.prototype.getScriptSource_ = function(scriptId) {
+  scriptId = String(scriptId);
+  if (scriptId in this.scriptSources_) {
+    return Promise.resolve(this.scriptSources_[scriptId]);
+  }
+  return this.debugTarget_.sendCommand('scripts', {
+    'ids': [scriptId | 0],
+    'includeSource': true,
+  }).then(function(response) {
+    if (!response.length) {
+      return null;
+    }
+    return this.unwrapScriptSource_(scriptId, response[0]['source']);
+  }.bind(this));
+};
+
+/**
+ * Strips the node module wrapper from a script source, if any, and caches the
+ * result.
+ * @param {string} scriptId Script id.
+ * @param {string} source Script source as compiled by V8.
+ * @return {string} Source as shown in the DevTools.
+ * @private
+ */
+Relay.prototype.unwrapScriptSource_ = function(scriptId, source) {
+  scriptId = String(scriptId);
+  if (this.debugTarget_.getTargetInfo().isNode &&
+      source.indexOf(NODE_MODULE_PREFIX) == 0) {
+    var suffix = NODE_MODULE_SUFFIX_REGEX.exec(source);
+    if (suffix) {
+      this.moduleWrappers_[scriptId] = {
+        'prefix': NODE_MODULE_PREFIX,
+        'suffix': suffix[0]
+      };
+      source = source.substring(NODE_MODULE_PREFIX.length, suffix.index);
+    }
+  }
+  this.scriptSources_[scriptId] = source;
+  return source;
+};
+
+/**
+ * Converts a V8 script name to the URL shown in the DevTools. Node names
+ * scripts by their file path, which is turned into a file:// URL.
+ * @param {string} name V8 script name.
+ * @return {string} Script URL.
+ * @private
+ */
+Relay.prototype.toScriptUrl_ = function(name) {
+  if (!this.debugTarget_.getTargetInfo().isNode ||
+      !/^(\/|[a-zA-Z]:\\)/.test(name)) {
+    return name;
+  }
+  return sourceMaps.pathToFileUrl(name);
+};
+
+/**
+ * Converts a script URL from the DevTools back to a V8 script name.
+ * @param {string} url Script URL.
+ * @return {string} V8 script name.
+ * @private
+ */
+Relay.prototype.toScriptName_ = function(url) {
+  if (!this.debugTarget_.getTargetInfo().isNode ||
+      url.indexOf('file://') != 0) {
+    return url;
+  }
+  return sourceMaps.fileUrlToPath(url);
+};
+
+/**
+ * Gets the number of columns the node module wrapper adds to the first line of
+ * a script.
+ * @param {string} scriptId Script id.
+ * @return {number} Column offset.
+ * @private
+ */
+Relay.prototype.getColumnOffset_ = function(scriptId) {
+  var wrapper = this.moduleWrappers_[String(scriptId)];
+  return wrapper ? wrapper['prefix'].length : 0;
+};
+
+/**
+ * Converts a V8 column to a DevTools column, which don't count the module
+ * wrapper.
+ * @param {string} scriptId Script id.
+ * @param {number} line 0-based line number.
+ * @param {number} column 0-based V8 column number.
+ * @return {number} DevTools column number.
+ * @private
+ */
+Relay.prototype.toDevToolsColumn_ = function(scriptId, line, column) {
+  if (line != 0) {
+    return column;
+  }
+  return Math.max(0, column - this.getColumnOffset_(scriptId));
+};
+
+/**
+ * Converts a DevTools column to a V8 column, which count the module wrapper.
+ * @param {string} scriptId Script id.
+ * @param {number} line 0-based line number.
+ * @param {number|undefined} column 0-based DevTools column number, if any.
+ * @return {number|undefined} V8 column number.
+ * @private
+ */
+Relay.prototype.toV8Column_ = function(scriptId, line, column) {
+  if (line != 0) {
+    return column;
+  }
+  return (column || 0) + this.getColumnOffset_(scriptId);
+};
+
+/**
+ * Looks up the V8 handle of an object wrapped by the injected script.
+ * @param {string} objectId Injected script object id.
+ * @return {!Promise} Promise resolved with the V8 handle.
+ * @private
+ */
+Relay.prototype.resolveObjectHandle_ = function(objectId) {
+  return this.debugTarget_.sendCommand('evaluate', {
+    'expression': '__is.findObjectById(' + JSON.stringify(objectId) + ')',
+    'global': true
+  }).then(function(response) {
+    return response['handle'];
+  });
+};
+
+/**
+ * Fetches the closure scopes of a function.
+ * @param {number} functionHandle V8 handle of the function.
+ * @param {!Array.<!Object>} mirrorScopes Scopes listed by the function mirror.
+ * @return {!Promise} Promise resolved with the V8 'scope' responses.
+ * @private
+ */
+Relay.prototype.fetchFunctionScopes_ = function(functionHandle, mirrorScopes) {
+  var promises = [];
+  for (var i = 0; i < mirrorScopes.length; ++i) {
+    promises.push(this.debugTarget_.sendCommand('scope', {
+      'number': mirrorScopes[i]['index'],
+      'functionHandle': functionHandle,
+      'inlineRefs': true
+    }));
+  }
+  return Promise.all(promises);
+};
+
+/**
+ * Reads the internal properties of an object through its V8 mirror: those
+ * V8 reports, like [[TargetFunction]] or [[PrimitiveValue]], the state of
+ * promises and the closure scopes of functions.
+ * @param {string} objectId Injected script object id.
+ * @return {!Promise} Promise resolved with the properties as a JavaScript
+ *     array literal of {name, value} objects and the V8 handles it refers to,
+ *     as expected by evaluateOnInjectedScript_.
+ * @private
+ */
+Relay.prototype.lookupMirrorInternalProperties_ = function(objectId) {
+  var properties = [];
+  var additionalContext = [];
+  var addProperty = function(name, value) {
+    properties.push('{ name: ' + JSON.stringify(name) + ', value: ' + value +
+        ' }');
+  };
+  var addHandle = function(handle) {
+    var alias = 'internal' + additionalContext.length;
+    additionalContext.push({ 'name': alias, 'handle': handle });
+    return alias;
+  };
+
+  var handle;
+  return this.resolveObjectHandle_(objectId).then(function(result) {
+    handle = result;
+    return this.debugTarget_.sendCommand('lookup', {
+      'handles': [handle]
+    });
+  }.bind(this)).then(function(response) {
+    var mirror = response[handle] || {};
+    var mirrorProperties = mirror['properties'] || [];
+    for (var i = 0; i < mirrorProperties.length; ++i) {
+      var name = String(mirrorProperties[i]['name']);
+      if (name.indexOf('[[') == 0 && 'ref' in mirrorProperties[i]) {
+        addProperty(name, addHandle(mirrorProperties[i]['ref']));
+      }
+    }
+    if (mirror['status']) {
+      addProperty('[[PromiseStatus]]', JSON.stringify(mirror['status']));
+      if (mirror['promiseValue']) {
+        addProperty('[[PromiseValue]]',
+            addHandle(mirror['promiseValue']['ref']));
+      }
+    }
+
+    return mirror['type'] == 'function' ?
+        this.fetchFunctionScopes_(handle, mirror['scopes'] || []) : [];
+  }.bind(this)).then(function(scopes) {
+    if (scopes.length) {
+      var scopeList = addScopesToContext(scopes, additionalContext);
+      properties.push('{ name: "[[Scopes]]", value: ' + scopeList['names'] +
+          ', scopeTypes: ' + scopeList['types'] + ' }');
+    }
+    return {
+      'properties': '[' + properties.join(', ') + ']',
+      'additionalContext': additionalContext
+    };
+  });
+};
+
+/**
+ * Builds DevTools call frames for the current target stack.
+ * Only valid while the target is paused.
+ * @return {!Promise} Promise resolved with an array of call frames.
+ * @private
+ */
+Relay.prototype.buildCallFrames_ = function() {
+  return this.debugTarget_.sendCommand('backtrace', {
+    'inlineRefs': true
+  }).then(function(response) {
+    var v8frames = response['frames'] || [];
+    var promises = [];
+    for (var i = 0; i < v8frames.length; ++i) {
+      promises.push(this.buildCallFrame_(v8frames[i]));
+    }
+    return Promise.all(promises);
+  }.bind(this));
+};
+
+/**
+ * Builds a DevTools call frame for a V8 backtrace frame, including its scope
+ * chain and receiver wrapped by the injected script.
+ * @param {!Object} v8frame Frame from a V8 'backtrace' response.
+ * @return {!Promise} Promise resolved with the call frame.
+ * @private
+ */
+Relay.prototype.buildCallFrame_ = function(v8frame) {
+  var location = {};
+  location['scriptId'] = String(v8frame['func']['scriptId']);
+  location['lineNumber'] = v8frame['line'];
+  location['columnNumber'] = this.toDevToolsColumn_(location['scriptId'],
+      v8frame['line'], v8frame['column']);
+
+  var frame = {};
+  frame['callFrameId'] = String(v8frame['index']);
+  frame['functionName'] = v8frame['func']['name'] ||
+      v8frame['func']['inferredName'] || '';
+  frame['location'] = location;
+  frame['scopeChain'] = [];
+
+  return this.debugTarget_.sendCommand('scopes', {
+    'frameNumber': v8frame['index'],
+    'inlineRefs': true
+  }).then(function(response) {
+    // Expose the scope objects and receiver to the injected script by handle.
+    var additionalContext = [
+      { 'name': 'receiver', 'handle': v8frame['receiver']['ref'] }
+    ];
+    var scopes = addScopesToContext(response['scopes'], additionalContext);
+    var expression = '__is.wrapDebuggerScopes(' + scopes['names'] + ', ' +
+        scopes['types'] + ', receiver)';
+    return this.evaluateOnInjectedScript_(expression, additionalContext);
+  }.bind(this)).then(function(wrapped) {
+    frame['scopeChain'] = wrapped['scopeChain'];
+    frame['this'] = wrapped['this'];
+    return frame;
+  }, function(err) {
+    // Still show the frame, just without its scopes.
+    console.error('Unable to fetch scopes for frame ' + v8frame['index'], err);
+    return frame;
+  });
+};
+
+/**
+ * Converts a V8 breakpoint location to a DevTools location.
+ * @param {!Object} v8Location Location from a V8 'setbreakpoint' or
+ *     'listbreakpoints' response.
+ * @return {!Object} DevTools location.
+ * @private
+ */
+Relay.prototype.toDevToolsLocation_ = function(v8Location) {
+  var scriptId = String(v8Location['script_id']);
+  return {
+    'scriptId': scriptId,
+    'lineNumber': v8Location['line'],
+    'columnNumber': this.toDevToolsColumn_(scriptId, v8Location['line'],
+        v8Location['column'])
+  };
+};
+
+/**
+ * Fires Debugger.breakpointResolved for the breakpoints set by URL that V8
+ * bound in a newly compiled script.
+ * @param {!Object} script Script from a V8 'afterCompile' event.
+ * @private
+ */
+Relay.prototype.resolveUrlBreakpoints_ = function(script) {
+  var v8IdToBreakpointId = {};
+  var pending = false;
+  for (var breakpointId in this.breakpointIdToUrl_) {
+    if (this.breakpointIdToUrl_[breakpointId] ==
+        this.toScriptUrl_(script['name'])) {
+      v8IdToBreakpointId[this.breakpointIdToV8Id_[breakpointId]] =
+          breakpointId;
+      pending = true;
+    }
+  }
+  if (!pending) {
+    return;
+  }
+
+  this.debugTarget_.sendCommand('listbreakpoints').then(function(response) {
+    var v8Breakpoints = response['breakpoints'] || [];
+    for (var i = 0; i < v8Breakpoints.length; ++i) {
+      var breakpointId = v8IdToBreakpointId[v8Breakpoints[i]['number']];
+      // Skip breakpoints removed while the request was in flight.
+      if (!breakpointId || !this.breakpointIdToV8Id_[breakpointId]) {
+        continue;
+      }
+      var actualLocations = v8Breakpoints[i]['actual_locations'] || [];
+      for (var j = 0; j < actualLocations.length; ++j) {
+        if (actualLocations[j]['script_id'] != script['id']) {
+          continue;
+        }
+        this.fireDevToolsEvent_('Debugger.breakpointResolved', {
+          'breakpointId': breakpointId,
+          'location': this.toDevToolsLocation_(actualLocations[j])
+        });
+      }
+    }
+  }.bind(this), function(err) {
+    console.error('Unable to list breakpoints:', err);
+  });
+};
+
+/**
+ * Whether V8 breakpoints owned by the relay should currently be enabled.
+ * @return {boolean}
+ * @private
+ */
+Relay.prototype.areBreakpointsEnabled_ = function() {
+  return this.breakpointsActive_ && !this.skipAllPauses_;
+};
+
+/**
+ * Enables or disables all V8 breakpoints owned by the relay to match the
+ * breakpoints active and skip all pauses states.
+ * @return {!Promise} Promise resolved when the target has been updated.
+ * @private
+ */
+Relay.prototype.updateBreakpointsEnabled_ = function() {
+  var enabled = this.areBreakpointsEnabled_();
+  var promises = [];
+  for (var breakpointId in this.breakpointIdToV8Id_) {
+    promises.push(this.debugTarget_.sendCommand('changebreakpoint', {
+      'breakpoint': this.breakpointIdToV8Id_[breakpointId],
+      'enabled': enabled
+    }));
+  }
+  return Promise.all(promises);
+};
+
+/**
+ * Updates the V8 exception break flags to match the pause on exceptions and
+ * skip all pauses states.
+ * @return {!Promise} Promise resolved when the target has been updated.
+ * @private
+ */
+Relay.prototype.updateExceptionBreak_ = function() {
+  var state = this.skipAllPauses_ ? 'none' : this.pauseOnExceptionsState_;
+  // V8 tracks caught and uncaught exception breaks separately, so always
+  // update both.
+  return Promise.all([
+    this.debugTarget_.sendCommand('setexceptionbreak', {
+      'type': 'all',
+      'enabled': state == 'all'
+    }),
+    this.debugTarget_.sendCommand('setexceptionbreak', {
+      'type': 'uncaught',
+      'enabled': state != 'none'
+    })
+  ]);
+};
+
+/**
+ * Clears the one-shot breakpoint set by Debugger.continueToLocation, if any.
+ * @private
+ */
+Relay.prototype.clearOneShotBreakpoint_ = function() {
+  if (this.oneShotV8BreakpointId_ === null) {
+    return;
+  }
+  this.debugTarget_.sendCommand('clearbreakpoint', {
+    'breakpoint': this.oneShotV8BreakpointId_
+  });
+  this.oneShotV8BreakpointId_ = null;
+};
+
+/**
+ * Fires a Debugger.scriptParsed event for a V8 script, along with the URL of
+ * its source map if it has one.
+ * @param {!Object} script Script from a V8 'scripts' response or
+ *     'afterCompile' event.
+ * @return {!Promise} Promise resolved once the event has been sent.
+ * @private
+ */
+Relay.prototype.fireScriptParsed_ = function(script) {
+  var scriptId = String(script['id']);
+  var name = script['name'] || '';
+  if (name) {
+    this.scriptNameToId_[name] = scriptId;
+  }
+
+  var source;
+  if (typeof script['source'] == 'string') {
+    source = Promise.resolve(
+        this.unwrapScriptSource_(scriptId, script['source']));
+  } else {
+    source = this.getScriptSource_(scriptId);
+  }
+  var lines = null;
+  var sourceMap = source.then(function(source) {
+    lines = source !== null ? source.split('\n') : null;
+    return sourceMaps.resolveSourceMapUrl(name, source);
+  }).then(null, function(err) {
+    console.error('Unable to find source map for ' + name, err);
+    return null;
+  });
+  var previous = this.scriptsParsed_;
+  var fired = Promise.all([previous, sourceMap]).then(function(results) {
+    var sourceMapUrl = results[1];
+    // Other embedders may compile scripts at an offset in their resource,
+    // like inline scripts in a page; node never does.
+    var startLine = script['lineOffset'] || 0;
+    var startColumn = script['columnOffset'] || 0;
+    var endLine = startLine + (script['lineCount'] || 1) - 1;
+    var endColumn = 0;
+    if (lines) {
+      endLine = startLine + lines.length - 1;
+      endColumn = lines[lines.length - 1].length +
+          (lines.length == 1 ? startColumn : 0);
+    }
+    var params = {
+      'scriptId': scriptId,
+      'url': this.toScriptUrl_(name),
+      'startLine': startLine,
+      'startColumn': startColumn,
+      'endLine': endLine,
+      'endColumn': endColumn
+    };
+    if (sourceMapUrl) {
+      params['sourceMapURL'] = sourceMapUrl;
+    }
+    this.fireDevToolsEvent_('Debugger.scriptParsed', params);
+  }.bind(this));
+  this.scriptsParsed_ = fired.then(null, function(err) {
+    console.error('Unable to report script ' + name, err);
+  });
+  return fired;
+};
+
+/**
+ * Fetches the async stack trace recorded by the injected script for the
+ * callback the target is paused in.
+ * @return {!Promise} Promise resolved with the DevTools stack trace, or null
+ *     if there is none.
+ * @private
+ */
+Relay.prototype.buildAsyncStackTrace_ = function() {
+  if (!this.asyncCallStackDepth_) {
+    return Promise.resolve(null);
+  }
+  return this.evaluateOnInjectedScript_('__is.asyncStackTrace()').then(
+      function(trace) {
+        return this.toDevToolsStackTrace_(trace, 1);
+      }.bind(this));
+};
+
+/**
+ * Converts a stack trace recorded by the injected script to the DevTools
+ * format, limited to the requested async call stack depth.
+ * @param {Object} trace Recorded stack trace, if any.
+ * @param {number} ordinal 1-based position of the trace in the async chain.
+ * @return {Object} DevTools stack trace, or null.
+ * @private
+ */
+Relay.prototype.toDevToolsStackTrace_ = function(trace, ordinal) {
+  if (!trace || ordinal > this.asyncCallStackDepth_) {
+    return null;
+  }
+  var callFrames = [];
+  for (var i = 0; i < trace['callFrames'].length; ++i) {
+    var callFrame = trace['callFrames'][i];
+    var scriptId = this.scriptNameToId_[callFrame['url']];
+    if (!scriptId) {
+      // Injected script and unnamed frames can't be shown.
+      continue;
+    }
+    callFrames.push({
+      'callFrameId': 'async:' + ordinal + ':' + i,
+      'functionName': callFrame['functionName'],
+      'location': {
+        'scriptId': scriptId,
+        'lineNumber': callFrame['lineNumber'],
+        'columnNumber': this.toDevToolsColumn_(scriptId,
+            callFrame['lineNumber'], callFrame['columnNumber'])
+      },
+      'scopeChain': [],
+      'this': { 'type': 'undefined' }
+    });
+  }
+  var stackTrace = {
+    'callFrames': callFrames,
+    'description': trace['description']
+  };
+  var asyncStackTrace = this.toDevToolsStackTrace_(trace['asyncStackTrace'],
+      ordinal + 1);
+  if (asyncStackTrace) {
+    stackTrace['asyncStackTrace'] = asyncStackTrace;
+  }
+  return stackTrace;
+};
+
+/**
+ * Compiles the condition of a DevTools breakpoint to V8 'setbreakpoint'
+ * arguments.
+ * Log templates are turned into conditions that post the message to the
+ * adapter and never pause. Hit count conditions are turned into ignore counts.
+ * Pass the result to registerBreakpoint_ once V8 has set the breakpoint.
+ * @param {string} breakpointId DevTools breakpoint id.
+ * @param {string|undefined} condition DevTools breakpoint condition.
+ * @param {!Object} location Breakpoint location, reported with log messages.
+ * @return {!{condition: (string|undefined), ignoreCount: (number|undefined),
+ *     logpoint: (!Object|undefined), hitCondition: (!Object|undefined)}}
+ *     V8 breakpoint arguments, along with the logpoint location or hit count
+ *     condition.
+ * @private
+ */
+Relay.prototype.compileBreakpoint_ = function(breakpointId, condition,
+    location) {
+  if (condition && condition.indexOf(LOGPOINT_PREFIX) == 0) {
+    var template = condition.substring(LOGPOINT_PREFIX.length).trim();
+    var parts = compileLogTemplate(template);
+    return {
+      'condition': '__is.logpoint(' + JSON.stringify(breakpointId) + ', ' +
+          '(function() { try { return ' + parts + '; } ' +
+          'catch (e) { return [e]; } }).call(this))',
+      'logpoint': location
+    };
+  }
+
+  if (condition && condition.indexOf(HIT_COUNT_PREFIX) == 0) {
+    var hitCondition = condition.substring(HIT_COUNT_PREFIX.length).trim();
+    var match = /^(==|>=|>|%)\s*(\d+)$/.exec(hitCondition);
+    if (!match || !Number(match[2])) {
+      throw Error('Invalid hit count condition: ' + hitCondition);
+    }
+    var count = Number(match[2]);
+    return {
+      'ignoreCount': match[1] == '>' ? count : count - 1,
+      'hitCondition': {
+        'operator': match[1],
+        'count': count
+      }
+    };
+  }
+
+  return {
+    'condition': condition
+  };
+};
+
+/**
+ * Records the logpoint location or hit count condition of a breakpoint V8 has
+ * set.
+ * @param {string} breakpointId DevTools breakpoint id.
+ * @param {!Object} v8Args Result of compileBreakpoint_.
+ * @private
+ */
+Relay.prototype.registerBreakpoint_ = function(breakpointId, v8Args) {
+  delete this.logpoints_[breakpointId];
+  delete this.hitConditions_[breakpointId];
+  if (v8Args['logpoint']) {
+    this.logpoints_[breakpointId] = v8Args['logpoint'];
+  }
+  if (v8Args['hitCondition']) {
+    this.hitConditions_[breakpointId] = v8Args['hitCondition'];
+  }
+};
+
+/**
+ * Updates hit count breakpoints after they paused: '==' breakpoints never
+ * pause again and '%' breakpoints wait for another N hits.
+ * @param {!Array.<string>} hitBreakpoints DevTools ids of the breakpoints hit.
+ * @private
+ */
+Relay.prototype.rearmHitCountBreakpoints_ = function(hitBreakpoints) {
+  for (var i = 0; i < hitBreakpoints.length; ++i) {
+    var hitCondition = this.hitConditions_[hitBreakpoints[i]];
+    if (!hitCondition) {
+      continue;
+    }
+    var ignoreCount;
+    if (hitCondition['operator'] == '==') {
+      // Ignore rather than disable, so that V8 keeps counting hits.
+      ignoreCount = MAX_IGNORE_COUNT;
+    } else if (hitCondition['operator'] == '%') {
+      ignoreCount = hitCondition['count'] - 1;
+    } else {
+      continue;
+    }
+    this.debugTarget_.sendCommand('changebreakpoint', {
+      'breakpoint': this.breakpointIdToV8Id_[hitBreakpoints[i]],
+      'ignoreCount': ignoreCount
+    });
+  }
+};
+
+/**
+ * Whether a script was compiled by the injected script to notify the adapter
+ * of pending messages.
+ * @param {!Object} script V8 script.
+ * @return {boolean}
+ * @private
+ */
+Relay.prototype.isAdapterNotification_ = function(script) {
+  var source = script['source'] || script['sourceStart'] || '';
+  return script['name'] == ADAPTER_NOTIFICATION_URL ||
+      source.indexOf('/*' + ADAPTER_NOTIFICATION_URL) == 0;
+};
+
+/**
+ * Fetches and handles the messages posted by the injected script.
+ * @return {!Promise} Promise resolved when the messages have been handled.
+ * @private
+ */
+Relay.prototype.processAdapterMessages_ = function() {
+  return this.evaluateOnInjectedScript_('__is.drainAdapterMessages()').then(
+      function(messages) {
+        var promises = [];
+        for (var i = 0; i < messages.length; ++i) {
+          var message = messages[i];
+          switch (message['type']) {
+            case 'logpoint':
+              this.fireLogpointMessage_(message);
+              break;
+            case 'console':
+              this.fireConsoleMessage_(message['message']);
+              break;
+            case 'debugFunction':
+              promises.push(this.setFunctionBreakpoint_(
+                  message['functionId'], message['name']));
+              break;
+            case 'undebugFunction':
+              promises.push(this.removeFunctionBreakpoint_(
+                  message['functionId']));
+              break;
+            default:
+              console.error('Unknown adapter message: ' + message['type']);
+              break;
+          }
+        }
+        return Promise.all(promises);
+      }.bind(this)).then(null, function(err) {
+        console.error('Unable to process adapter messages:', err);
+      });
+};
+
+/**
+ * Sets a breakpoint on the entry of a function passed to debug().
+ * @param {number} functionId Injected script function id.
+ * @param {string} name Function name.
+ * @return {!Promise} Promise resolved when the breakpoint is set.
+ * @private
+ */
+Relay.prototype.setFunctionBreakpoint_ = function(functionId, name) {
+  return this.debugTarget_.sendCommand('setbreakpoint', {
+    'type': 'function',
+    'target': '__is.debuggedFunction(' + functionId + ')',
+    'enabled': this.areBreakpointsEnabled_()
+  }).then(function(response) {
+    this.breakpointIdToV8Id_[FUNCTION_BREAKPOINT_PREFIX + functionId] =
+        response['breakpoint'];
+    this.debuggedFunctions_[functionId] = { 'name': name };
+  }.bind(this));
+};
+
+/**
+ * Clears the breakpoint of a function passed to undebug().
+ * @param {number} functionId Injected script function id.
+ * @return {!Promise} Promise resolved when the breakpoint is cleared.
+ * @private
+ */
+Relay.prototype.removeFunctionBreakpoint_ = function(functionId) {
+  var breakpointId = FUNCTION_BREAKPOINT_PREFIX + functionId;
+  var v8BreakpointId = this.breakpointIdToV8Id_[breakpointId];
+  delete this.breakpointIdToV8Id_[breakpointId];
+  delete this.debuggedFunctions_[functionId];
+  if (!v8BreakpointId) {
+    return Promise.resolve();
+  }
+  return this.debugTarget_.sendCommand('clearbreakpoint', {
+    'breakpoint': v8BreakpointId
+  });
+};
+
+/**
+ * Sends the output of a logpoint to the DevTools console.
+ * @param {!Object} message Logpoint message from the injected script.
+ * @private
+ */
+Relay.prototype.fireLogpointMessage_ = function(message) {
+  var location = this.logpoints_[message['breakpointId']];
+  if (!location) {
+    // Removed in the meantime.
+    return;
+  }
+  // Console message locations are 1-based.
+  this.fireDevToolsEvent_('Console.messageAdded', {
+    'message': {
+      'source': 'console-api',
+      'level': 'log',
+      'type': 'log',
+      'text': message['text'],
+      'url': location['url'],
+      'scriptId': location['scriptId'],
+      'line': location['lineNumber'] + 1,
+      'column': location['columnNumber'] + 1,
+      'timestamp': Date.now() / 1000
+    }
+  });
+};
+
+/**
+ * Sends a call to a console method of the target to the DevTools console.
+ * @param {!Object} message Console message from the injected script, with
+ *     the stack trace it was captured at.
+ * @private
+ */
+Relay.prototype.fireConsoleMessage_ = function(message) {
+  // Console locations are 1-based.
+  var callFrames = [];
+  var v8Frames = message['stackTrace'] || [];
+  for (var i = 0; i < v8Frames.length; ++i) {
+    var scriptId = this.scriptNameToId_[v8Frames[i]['url']] || '';
+    callFrames.push({
+      'functionName': v8Frames[i]['functionName'],
+      'scriptId': scriptId,
+      'url': this.toScriptUrl_(v8Frames[i]['url']),
+      'lineNumber': v8Frames[i]['lineNumber'] + 1,
+      'columnNumber': this.toDevToolsColumn_(scriptId,
+          v8Frames[i]['lineNumber'], v8Frames[i]['columnNumber']) + 1
+    });
+  }
+  message['stackTrace'] = callFrames;
+  if (callFrames.length) {
+    message['url'] = callFrames[0]['url'];
+    message['scriptId'] = callFrames[0]['scriptId'];
+    message['line'] = callFrames[0]['lineNumber'];
+    message['column'] = callFrames[0]['columnNumber'];
+  }
+  this.fireDevToolsEvent_('Console.messageAdded', {
+    'message': message
+  });
+};
+
+/**
+ * Whether a script matches one of the blackbox patterns.
+ * @param {string} scriptName V8 script name.
+ * @return {boolean}
+ * @private
+ */
+Relay.prototype.isBlackboxed_ = function(scriptName) {
+  if (!scriptName) {
+    return false;
+  }
+  // Command line patterns match script names, the DevTools ones match the URLs
+  // they show.
+  var url = this.toScriptUrl_(scriptName);
+  var patterns = commandLineBlackboxPatterns;
+  if (!patterns.length && this.debugTarget_.getTargetInfo().isNode) {
+    patterns = NODE_BLACKBOX_PATTERNS;
+  }
+  return patterns.some(function(pattern) {
+    return pattern.test(scriptName);
+  }) || this.blackboxPatterns_.some(function(pattern) {
+    return pattern.test(url);
+  });
+};
+
+/**
+ * Whether the target should pause on an exception according to the exception
+ * filter rules. Exclude rules win over include rules; if there are include
+ * rules, one of them must match.
+ * @param {!{type: string, message: string, script: string}} exception
+ *     Exception constructor name, message and throwing script path.
+ * @return {boolean}
+ * @private
+ */
+Relay.prototype.matchesExceptionFilters_ = function(exception) {
+  var filters = commandLineExceptionFilters.concat(this.exceptionFilters_);
+  var hasIncludes = false;
+  var included = false;
+  for (var i = 0; i < filters.length; ++i) {
+    var matches = filters[i]['pattern'].test(exception[filters[i]['field']]);
+    if (filters[i]['exclude']) {
+      if (matches) {
+        return false;
+      }
+    } else {
+      hasIncludes = true;
+      included = included || matches;
+    }
   }
+  return included || !hasIncludes;
 };
 
 /**
- * Sends a command to the DevTools.
- * @param {string} method Method, such as 'Debugger.paused'.
- * @param {Object} params Parameters, if any.
+ * Fires a Debugger.paused event with the current target stack.
+ * @param {string} reason DevTools pause reason, such as 'exception'.
+ * @param {!Object} data Auxiliary pause data.
+ * @param {Array.<string>=} opt_hitBreakpoints DevTools ids of the breakpoints
+ *     that were hit, if any.
+ * @return {!Promise} Promise resolved with the call frames once the event has
+ *     been sent, or with null if the backtrace could not be fetched.
  * @private
  */
-Relay.prototype.fireDevToolsEvent_ = function(method, params) {
-  var data = JSON.stringify({
-    'method': method,
-    'params': params
+Relay.prototype.firePausedEvent_ = function(reason, data,
+    opt_hitBreakpoints) {
+  // Frames may be in scripts whose Debugger.scriptParsed is still pending, and
+  // their columns depend on the module wrappers found with the sources.
+  return this.scriptsParsed_.then(function() {
+    var asyncStackTrace = this.buildAsyncStackTrace_().then(null,
+        function(err) {
+          console.error('Unable to fetch async stack trace:', err);
+          return null;
+        });
+    return Promise.all([
+      this.buildCallFrames_(),
+      asyncStackTrace
+    ]);
+  }.bind(this)).then(function(results) {
+    var params = {
+      'callFrames': results[0],
+      'reason': reason,
+      'data': data
+    };
+    if (opt_hitBreakpoints && opt_hitBreakpoints.length) {
+      params['hitBreakpoints'] = opt_hitBreakpoints;
+    }
+    if (results[1]) {
+      params['asyncStackTrace'] = results[1];
+    }
+    this.fireDevToolsEvent_('Debugger.paused', params);
+    return results[0];
+  }.bind(this), function(err) {
+    console.error('Unable to fetch backtrace:', err);
+    return null;
   });
-  this.devTools_.send(data);
+};
 
-  if (argv['log-network']) {
-    console.log('[->DT]', data);
+/**
+ * Resumes the target for a single step.
+ * @param {string} stepAction V8 step action: 'in', 'out' or 'next'.
+ * @return {!Promise} Promise resolved when the target has resumed.
+ * @private
+ */
+Relay.prototype.step_ = function(stepAction) {
+  this.stepAction_ = stepAction;
+  this.fireDevToolsEvent_('Debugger.resumed', {});
+  return this.debugTarget_.sendCommand('continue', {
+    'stepaction': stepAction,
+    'stepcount': 1
+  });
+};
+
+/**
+ * Turns off what the injected script instruments in the target, which keeps
+ * running and would keep paying for it once the DevTools are gone.
+ * @return {!Promise} Promise resolved when done, or after a timeout if the
+ *     target does not respond.
+ * @private
+ */
+Relay.prototype.uninstrumentTarget_ = function() {
+  if (this.debugTarget_.isClosed()) {
+    return Promise.resolve();
   }
+  var done = Promise.all([
+    this.evaluateOnInjectedScript_('__is.setAsyncCallStackDepth(0)'),
+    this.evaluateOnInjectedScript_('__is.setConsoleForwardingEnabled(false)')
+  ]).then(null, function(err) {
+    console.error('Unable to uninstrument target:', err);
+  });
+  var timeout = new Promise(function(resolve) {
+    setTimeout(resolve, UNINSTRUMENT_TIMEOUT_MS);
+  });
+  return Promise.race([done, timeout]);
 };
 
 /**
@@ -280,9 +1576,11 @@ Relay.prototype.close = function() {
   }
   this.closed_ = true;
 
-  // Close target.
+  // Close target once it is no longer instrumented.
   // This will allow the target to resume running.
-  this.debugTarget_.close();
+  this.uninstrumentTarget_().then(function() {
+    this.debugTarget_.close();
+  }.bind(this));
 
   // Close DevTools connection.
   this.devTools_.close();
@@ -306,10 +1604,23 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   //----------------------------------------------------------------------------
 
   lookup['Console.enable'] = (function(params, resolve, reject) {
-    resolve({ 'result': true });
+    this.evaluateOnInjectedScript_(
+        '__is.setConsoleForwardingEnabled(true)').then(function() {
+      resolve({ 'result': true });
+    }, reject);
+  }).bind(this);
+  lookup['Console.disable'] = (function(params, resolve, reject) {
+    this.evaluateOnInjectedScript_(
+        '__is.setConsoleForwardingEnabled(false)').then(function() {
+      resolve({});
+    }, reject);
   }).bind(this);
   lookup['Console.clearMessages'] = (function(params, resolve, reject) {
-    resolve({});
+    // Let go of the objects logged so far.
+    this.evaluateOnInjectedScript_(
+        '__is.releaseObjectGroup("console")').then(function() {
+      resolve({});
+    }, reject);
   }).bind(this);
 
   //----------------------------------------------------------------------------
@@ -333,35 +1644,111 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   //----------------------------------------------------------------------------
 
   lookup['Debugger.enable'] = (function(params, resolve, reject) {
+    // Sources are needed to find source maps, and are cached for later.
     this.debugTarget_.sendCommand('scripts', {
-      'includeSource': false,
+      'includeSource': true,
     }).then(function(response) {
+      var promises = [];
       for (var i = 0; i < response.length; ++i) {
-        this.fireDevToolsEvent_('Debugger.scriptParsed', {
-          'scriptId': String(response[i]['id']),
-          'url': response[i]['name'] || "",
-          'startLine': 0,
-          'startColumn': 0,
-          'endLine': response[i]['lineCount'],
-          'endColumn': 0
-        });
+        if (!this.isAdapterNotification_(response[i])) {
+          promises.push(this.fireScriptParsed_(response[i]));
+        }
       }
+      return Promise.all(promises);
+    }.bind(this)).then(function() {
       resolve({ 'result': true });
-    }.bind(this), reject);
+    }, reject);
   }).bind(this);
 
 
   lookup['Debugger.getScriptSource'] = (function(params, resolve, reject) {
-    this.debugTarget_.sendCommand('scripts', {
-      'ids': [params['scriptId'] | 0],
-      'includeSource': true,
-    }).then(function(response) {
-      if (response.length) {
-        resolve({ 'scriptSource': response[0]['source'] });
+    this.getScriptSource_(params['scriptId']).then(function(source) {
+      if (source !== null) {
+        resolve({ 'scriptSource': source });
       } else {
         resolve({ 'result': true });
       }
-    }.bind(this), reject);
+    }, reject);
+  }).bind(this);
+
+  lookup['Debugger.searchInContent'] = (function(params, resolve, reject) {
+    var query = params['query'];
+    if (!params['isRegex']) {
+      query = query.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    }
+    try {
+      var regex = new RegExp(query, params['caseSensitive'] ? '' : 'i');
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    this.getScriptSource_(params['scriptId']).then(function(source) {
+      if (source === null) {
+        reject('No script for id: ' + params['scriptId']);
+        return;
+      }
+      var matches = [];
+      var lines = source.split(/\r?\n/);
+      for (var i = 0; i < lines.length; ++i) {
+        if (regex.test(lines[i])) {
+          matches.push({ 'lineNumber': i, 'lineContent': lines[i] });
+        }
+      }
+      resolve({ 'result': matches });
+    }, reject);
+  }).bind(this);
+
+  lookup['Debugger.setScriptSource'] = (function(params, resolve, reject) {
+    var preview = !!params['preview'];
+    var newSource = params['scriptSource'];
+    var wrapper = this.moduleWrappers_[params['scriptId']];
+    if (wrapper) {
+      newSource = wrapper['prefix'] + newSource + wrapper['suffix'];
+    }
+    this.debugTarget_.sendCommand('changelive', {
+      'script_id': Number(params['scriptId']),
+      'new_source': newSource,
+      'preview_only': preview
+    }).then(function(response) {
+      var result = response['result'] || {};
+      if (!preview) {
+        this.scriptSources_[params['scriptId']] = params['scriptSource'];
+      }
+      if (preview || !result['stack_modified']) {
+        resolve({ 'result': result });
+        return;
+      }
+      if (response['stepin_recommended'] ||
+          result['stack_update_needs_step_in']) {
+        // As with Debugger.restartFrame, the break event after the step in
+        // reports the new stack.
+        return this.step_('in').then(function() {
+          resolve({ 'callFrames': [], 'result': result });
+        });
+      }
+      return this.buildCallFrames_().then(function(frames) {
+        resolve({ 'callFrames': frames, 'result': result });
+      });
+    }.bind(this)).then(null, function(err) {
+      // Report compile errors the way the DevTools expect them, with 1-based
+      // line numbers.
+      var details = err.details;
+      if (details && details['type'] == 'liveedit_compile_error') {
+        var start = details['position']['start'];
+        var error = new Error(details['syntaxErrorMessage']);
+        error.data = {
+          'compileError': {
+            'message': details['syntaxErrorMessage'],
+            'lineNumber': start['line'] + 1,
+            'columnNumber': this.toDevToolsColumn_(params['scriptId'],
+                start['line'], start['column'])
+          }
+        };
+        reject(error);
+        return;
+      }
+      reject(err);
+    }.bind(this));
   }).bind(this);
 
   lookup['Debugger.setOverlayMessage'] = (function(params, resolve, reject) {
@@ -372,123 +1759,322 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   }).bind(this);
 
   lookup['Debugger.setAsyncCallStackDepth'] = (function(params, resolve, reject) {
-    resolve({ 'result': false });
+    var maxDepth = params['maxDepth'] | 0;
+    this.evaluateOnInjectedScript_(
+        '__is.setAsyncCallStackDepth(' + maxDepth + ')').then(function() {
+      this.asyncCallStackDepth_ = maxDepth;
+      resolve();
+    }.bind(this), reject);
   }).bind(this);
   lookup['Debugger.setPauseOnExceptions'] = (function(params, resolve, reject) {
-    resolve({ 'result': false });
-    var type;
-    var enabled;
     switch (params['state']) {
       case 'all':
-        type = 'all';
-        enabled = true;
-        break;
       case 'none':
-        type = 'all';
-        enabled = false;
-        break;
       case 'uncaught':
-        type = 'uncaught';
-        enabled = true;
         break;
       default:
         reject(Error('Unknown setPauseOnExceptions state: ' + params['state']));
         return;
     }
-    this.debugTarget_.sendCommand('setexceptionbreak', {
-      'type': type,
-      'enabled': enabled
-    }).then(function(response) { resolve(); }, reject);
+    this.pauseOnExceptionsState_ = params['state'];
+    this.updateExceptionBreak_().then(function() { resolve(); }, reject);
+  }).bind(this);
+  lookup['Debugger.setBreakpointsActive'] = (function(params, resolve, reject) {
+    this.breakpointsActive_ = !!params['active'];
+    this.updateBreakpointsEnabled_().then(function() { resolve(); }, reject);
   }).bind(this);
   lookup['Debugger.setSkipAllPauses'] = (function(params, resolve, reject) {
-    resolve({ 'result': false });
+    this.skipAllPauses_ = !!params['skipped'];
+    Promise.all([
+      this.updateBreakpointsEnabled_(),
+      this.updateExceptionBreak_()
+    ]).then(function() { resolve(); }, reject);
   }).bind(this);
 
   lookup['Debugger.pause'] = (function(params, resolve, reject) {
-    // NOTE: this eval will not respond immediately!
-    // We'll need to resolve() right away and poke the DevTools to let them know
-    // the (probably) succeeded.
-    // TODO(pfeldman): I'm sure there's some InjectedScript thing for this.
-    this.debugTarget_.sendCommand('evaluate', {
-      'expression': 'debugger',
-      'global': true
-    });
-    resolve();
-    this.fireDevToolsEvent_('Debugger.paused', {
-      'callFrames': [],
-      'reason': 'debugCommand',
-      'data': {}
-    });
+    // The debug agent interrupts the target to process the request, even if
+    // it is busy in a loop, and leaves it stopped. V8 does not fire a break
+    // event for it, so report the pause ourselves once it is effective.
+    this.debugTarget_.sendCommand('suspend').then(function(response) {
+      resolve();
+      this.stepAction_ = null;
+      this.clearOneShotBreakpoint_();
+      this.firePausedEvent_('debugCommand', {});
+    }.bind(this), reject);
   }).bind(this);
 
   lookup['Debugger.resume'] = (function(params, resolve, reject) {
+    this.stepAction_ = null;
     this.fireDevToolsEvent_('Debugger.resumed', {});
     this.debugTarget_.sendCommand('continue').then(function(response) {
       resolve();
     }, reject);
   }).bind(this);
 
+  lookup['Debugger.continueToLocation'] = (function(params, resolve, reject) {
+    var location = params['location'];
+    this.clearOneShotBreakpoint_();
+    this.debugTarget_.sendCommand('setbreakpoint', {
+      'type': 'scriptId',
+      'target': Number(location['scriptId']),
+      'line': location['lineNumber'],
+      'column': this.toV8Column_(location['scriptId'], location['lineNumber'],
+          location['columnNumber'])
+    }).then(function(response) {
+      this.oneShotV8BreakpointId_ = response['breakpoint'];
+      this.stepAction_ = null;
+      this.fireDevToolsEvent_('Debugger.resumed', {});
+      return this.debugTarget_.sendCommand('continue');
+    }.bind(this)).then(function(response) {
+      resolve();
+    }, reject);
+  }).bind(this);
+
   lookup['Debugger.stepInto'] = (function(params, resolve, reject) {
-    this.fireDevToolsEvent_('Debugger.resumed', {});
-    this.debugTarget_.sendCommand('continue', {
-      'stepaction': 'in',
-      'stepcount': 1
-    }).then(function(response) { resolve(); }, reject);
+    this.step_('in').then(function(response) { resolve(); }, reject);
   }).bind(this);
 
   lookup['Debugger.stepOut'] = (function(params, resolve, reject) {
-    this.fireDevToolsEvent_('Debugger.resumed', {});
-    this.debugTarget_.sendCommand('continue', {
-      'stepaction': 'out',
-      'stepcount': 1
-    }).then(function(response) { resolve(); }, reject);
+    this.step_('out').then(function(response) { resolve(); }, reject);
   }).bind(this);
 
   lookup['Debugger.stepOver'] = (function(params, resolve, reject) {
-    this.fireDevToolsEvent_('Debugger.resumed', {});
-    this.debugTarget_.sendCommand('continue', {
-      'stepaction': 'next',
-      'stepcount': 1
-    }).then(function(response) { resolve(); }, reject);
+    this.step_('next').then(function(response) { resolve(); }, reject);
   }).bind(this);
 
-  lookup['Debugger.getFunctionDetails'] = (function(params, resolve, reject) {
-    reject('Unsupported');
+  lookup['Debugger.restartFrame'] = (function(params, resolve, reject) {
+    this.debugTarget_.sendCommand('restartframe', {
+      'frame': Number(params['callFrameId'])
+    }).then(function(response) {
+      var result = response['result'] || {};
+      if (result['stack_update_needs_step_in']) {
+        // V8 needs a step in to reach the restarted function; the resulting
+        // break event reports the new stack.
+        return this.step_('in').then(function() {
+          resolve({ 'callFrames': [], 'result': result });
+        });
+      }
+      return this.firePausedEvent_('other', {}).then(function(frames) {
+        resolve({ 'callFrames': frames || [], 'result': result });
+      });
+    }.bind(this)).then(null, reject);
   }).bind(this);
 
-  /**
-   * Mapping between DevTools and v8 breakpoint handles.
-   * @type {!Object.<string, string>}
-   */
-  // FIXME(pfeldman): clean up on clearing global object.
-  var breakpointIdToV8Id = {};
+  lookup['Debugger.setVariableValue'] = (function(params, resolve, reject) {
+    var scope = { 'number': params['scopeNumber'] };
+    var newValue = params['newValue'] || {};
+    var promises = [];
+
+    // Objects are only known to the injected script, so look up their V8
+    // handles first.
+    if (params['callFrameId'] !== undefined) {
+      scope['frameNumber'] = Number(params['callFrameId']);
+      promises.push(null);
+    } else {
+      promises.push(this.resolveObjectHandle_(params['functionObjectId']));
+    }
+    if (newValue['objectId']) {
+      promises.push(this.resolveObjectHandle_(newValue['objectId']));
+    } else {
+      promises.push(null);
+    }
+
+    Promise.all(promises).then(function(handles) {
+      if (handles[0] !== null) {
+        scope['functionHandle'] = handles[0];
+      }
+      var v8Value;
+      if (handles[1] !== null) {
+        v8Value = { 'handle': handles[1] };
+      } else if (!('value' in newValue)) {
+        v8Value = { 'type': 'undefined' };
+      } else if (newValue['type'] == 'number' ||
+          typeof newValue['value'] == 'number') {
+        // Covers NaN, Infinity and -0, which are sent as strings.
+        v8Value = {
+          'type': 'number',
+          'stringDescription': String(newValue['value'])
+        };
+      } else {
+        v8Value = { 'value': newValue['value'] };
+      }
+      return this.debugTarget_.sendCommand('setVariableValue', {
+        'name': params['variableName'],
+        'newValue': v8Value,
+        'scope': scope
+      });
+    }.bind(this)).then(function(response) {
+      resolve();
+    }, reject);
+  }).bind(this);
+
+  lookup['Debugger.skipStackFrames'] = (function(params, resolve, reject) {
+    try {
+      this.blackboxPatterns_ = params['script'] ?
+          [ new RegExp(params['script']) ] : [];
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    resolve();
+  }).bind(this);
+
+  lookup['Debugger.setBlackboxPatterns'] = (function(params, resolve, reject) {
+    try {
+      this.blackboxPatterns_ = (params['patterns'] || []).map(
+          function(pattern) {
+            return new RegExp(pattern);
+          });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    resolve();
+  }).bind(this);
+
+  lookup['Debugger.getFunctionDetails'] = (function(params, resolve, reject) {
+    var functionId = params['functionId'];
+    var details = {};
+    var functionHandle;
+    this.resolveObjectHandle_(functionId).then(function(handle) {
+      functionHandle = handle;
+      return this.debugTarget_.sendCommand('lookup', {
+        'handles': [handle]
+      });
+    }.bind(this)).then(function(response) {
+      var mirror = response[functionHandle];
+      if (!mirror || mirror['type'] != 'function') {
+        throw Error('Cannot resolve function by id.');
+      }
+      if (mirror['scriptId'] === undefined) {
+        throw Error('Function has no source location.');
+      }
+      var scriptId = String(mirror['scriptId']);
+      details['location'] = {
+        'scriptId': scriptId,
+        'lineNumber': mirror['line'],
+        'columnNumber': this.toDevToolsColumn_(scriptId, mirror['line'],
+            mirror['column'])
+      };
+      details['functionName'] = mirror['name'] || mirror['inferredName'] || '';
+
+      // Fetch the closure scopes and wrap them through the injected script.
+      return this.fetchFunctionScopes_(functionHandle, mirror['scopes'] || []);
+    }.bind(this)).then(function(scopes) {
+      var additionalContext = [];
+      var scopeList = addScopesToContext(scopes, additionalContext);
+      var expression = '__is.getFunctionDetails(' +
+          JSON.stringify(functionId) + ', ' + JSON.stringify(details) + ', ' +
+          scopeList['names'] + ', ' + scopeList['types'] + ')';
+      return this.evaluateOnInjectedScript_(expression, additionalContext);
+    }.bind(this)).then(function(result) {
+      if (typeof result == 'string') {
+        reject(result);
+        return;
+      }
+      resolve({ 'details': result });
+    }, reject);
+  }).bind(this);
 
   lookup['Debugger.setBreakpointByUrl'] = (function(params, resolve, reject) {
     var breakpointId = params['url'] + ':' + params['lineNumber'] + ':' +
         (params['columnNumber'] || 0);
+    try {
+      var v8Args = this.compileBreakpoint_(breakpointId, params['condition'], {
+        'url': params['url'],
+        'scriptId': '',
+        'lineNumber': params['lineNumber'],
+        'columnNumber': params['columnNumber'] || 0
+      });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    var scriptName = this.toScriptName_(params['url']);
+    var column = params['columnNumber'] || 0;
+    if (params['lineNumber'] == 0) {
+      var scriptId = this.scriptNameToId_[scriptName];
+      if (scriptId) {
+        column += this.getColumnOffset_(scriptId);
+      } else if (this.debugTarget_.getTargetInfo().isNode &&
+          params['url'].indexOf('file://') == 0) {
+        // Not loaded yet; node will wrap it like any other module file.
+        column += NODE_MODULE_PREFIX.length;
+      }
+    }
     this.debugTarget_.sendCommand('setbreakpoint', {
       'type': 'script',
-      'target': params['url'],
+      'target': scriptName,
       'line': params['lineNumber'],
-      'column': params['columnNumber'],
-      'condition': params['condition']
+      'column': column,
+      'condition': v8Args['condition'],
+      'ignoreCount': v8Args['ignoreCount'],
+      'enabled': this.areBreakpointsEnabled_()
     }).then(function(response) {
       var v8BreakpointId = response['breakpoint'];
-      breakpointIdToV8Id[breakpointId] = v8BreakpointId;
+      this.breakpointIdToV8Id_[breakpointId] = v8BreakpointId;
+      this.breakpointIdToUrl_[breakpointId] = params['url'];
+      this.registerBreakpoint_(breakpointId, v8Args);
       var locations = [];
       for (var i = 0; i < response['actual_locations'].length; ++i) {
-        var actualLocation = response['actual_locations'][i];
-        locations.push({ 'lineNumber': actualLocation['line'],
-                         'columnNumber': actualLocation['column'],
-                         'scriptId': String(actualLocation['script_id']) });
+        locations.push(
+            this.toDevToolsLocation_(response['actual_locations'][i]));
       }
       resolve({ 'breakpointId' : breakpointId, 'locations': locations });
-    }, reject);
+    }.bind(this), reject);
+  }).bind(this);
+
+  lookup['Debugger.setBreakpoint'] = (function(params, resolve, reject) {
+    var location = params['location'];
+    var breakpointId = location['scriptId'] + ':' + location['lineNumber'] +
+        ':' + (location['columnNumber'] || 0);
+    if (this.breakpointIdToV8Id_[breakpointId]) {
+      reject('Breakpoint at specified location already exists.');
+      return;
+    }
+    try {
+      var v8Args = this.compileBreakpoint_(breakpointId, params['condition'], {
+        'url': '',
+        'scriptId': location['scriptId'],
+        'lineNumber': location['lineNumber'],
+        'columnNumber': location['columnNumber'] || 0
+      });
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    this.debugTarget_.sendCommand('setbreakpoint', {
+      'type': 'scriptId',
+      'target': Number(location['scriptId']),
+      'line': location['lineNumber'],
+      'column': this.toV8Column_(location['scriptId'], location['lineNumber'],
+          location['columnNumber']),
+      'condition': v8Args['condition'],
+      'ignoreCount': v8Args['ignoreCount'],
+      'enabled': this.areBreakpointsEnabled_()
+    }).then(function(response) {
+      var v8BreakpointId = response['breakpoint'];
+      var actualLocations = response['actual_locations'] || [];
+      if (!actualLocations.length) {
+        // Don't leave an unresolvable breakpoint behind in the target.
+        this.debugTarget_.sendCommand('clearbreakpoint', {
+          'breakpoint': v8BreakpointId
+        });
+        reject('Could not resolve breakpoint');
+        return;
+      }
+      this.breakpointIdToV8Id_[breakpointId] = v8BreakpointId;
+      this.registerBreakpoint_(breakpointId, v8Args);
+      resolve({
+        'breakpointId': breakpointId,
+        'actualLocation': this.toDevToolsLocation_(actualLocations[0])
+      });
+    }.bind(this), reject);
   }).bind(this);
 
   lookup['Debugger.removeBreakpoint'] = (function(params, resolve, reject) {
     var breakpointId = params['breakpointId'];
-    var v8BreakpointId = breakpointIdToV8Id[breakpointId];
+    var v8BreakpointId = this.breakpointIdToV8Id_[breakpointId];
     if (!v8BreakpointId) {
       reject('Unknown breakpoint id.');
       return;
@@ -496,8 +2082,12 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
     this.debugTarget_.sendCommand('clearbreakpoint', {
       'breakpoint': v8BreakpointId
     }).then(function(response) {
+      delete this.breakpointIdToV8Id_[breakpointId];
+      delete this.breakpointIdToUrl_[breakpointId];
+      delete this.logpoints_[breakpointId];
+      delete this.hitConditions_[breakpointId];
       resolve();
-    }, reject);
+    }.bind(this), reject);
   }).bind(this);
 
   lookup['Debugger.evaluateOnCallFrame'] = (function(params, resolve, reject) {
@@ -513,21 +2103,15 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
       var gp = params['generatePreview'] || false;
       var expression = '__is._wrapObject(o, "' + og + '", ' + rbv + ', ' +
           gp + ')';
-
-      // Store result in property in order to avoid trimming.
-      var wrapped = 'var result = {};' +
-          'result[JSON.stringify(' + expression + ')] = 1;' +
-          'result;';
-      this.debugTarget_.sendCommand('evaluate', {
-        'expression': wrapped,
-        'additional_context': [ { 'name': 'o', 'handle': handle } ]
-      }).then(function(response) {
-        resolve({ result: JSON.parse(response['properties'][0]['name']) })
-      }.bind(this), reject);
+      this.evaluateOnInjectedScript_(expression, [
+        { 'name': 'o', 'handle': handle }
+      ]).then(function(result) {
+        resolve({ result: result })
+      }, reject);
     }.bind(this), function(error) {
       // Rejected evaluation -> throw message.
       resolve({ 'wasThrows': true,
-                'result': { 'type': 'string', 'value' : error}});
+                'result': { 'type': 'string', 'value' : error.message}});
     });
   }).bind(this);
 
@@ -613,17 +2197,7 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   function dispatchOnInjectedScript(method, args, resolve, reject) {
     var argsstr = JSON.stringify(args);
     var expression = '__is["' + method + '"].apply(__is, ' + argsstr + ')';
-    // V8 will trim string values in protocol messages. All but the property
-    // names! Abuse it.
-    var wrapped = 'var result = {};' +
-        'result[JSON.stringify(' + expression + ')] = 1;' +
-        'result;';
-    this.debugTarget_.sendCommand('evaluate', {
-      'expression': wrapped,
-      'global': true
-    }).then(function(response) {
-      resolve(JSON.parse(response['properties'][0]['name']))
-    }, reject);
+    this.evaluateOnInjectedScript_(expression).then(resolve, reject);
   }
 
   lookup['Runtime.enable'] = (function(params, resolve, reject) {
@@ -640,6 +2214,19 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   }).bind(this);
 
   lookup['Runtime.evaluate'] = (function(params, resolve, reject) {
+    var command = CONSOLE_COMMAND_REGEX.exec(params['expression']);
+    if (command && Object.prototype.hasOwnProperty.call(
+        this.consoleCommandDispatch_, command[1])) {
+      new Promise(function(resolve, reject) {
+        this.consoleCommandDispatch_[command[1]](command[2], resolve, reject);
+      }.bind(this)).then(function(text) {
+        resolve({
+          'result': { 'type': 'string', 'value': text },
+          'wasThrown': false
+        });
+      }, reject);
+      return;
+    }
     dispatchOnInjectedScript.call(this,
         'evaluate',
         [ params['expression'],
@@ -647,7 +2234,44 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
           params['injectCommandLineAPI'],
           params['returnByValue'],
           params['generatePreview'] ],
-        resolve,  // We are lucky to return what is given (for now).
+        function(result) {
+          if (!params['injectCommandLineAPI']) {
+            resolve(result);  // We are lucky to return what is given (for now).
+            return;
+          }
+          // Apply debug(fn) and friends before the console gets the result.
+          this.processAdapterMessages_().then(function() {
+            resolve(result);
+          });
+        }.bind(this),
+        reject);
+  }).bind(this);
+
+  lookup['Runtime.compileScript'] = (function(params, resolve, reject) {
+    dispatchOnInjectedScript.call(this,
+        'compileScript',
+        [ params['expression'],
+          params['sourceURL'] || '',
+          !!params['persistScript'] ],
+        resolve,
+        reject);
+  }).bind(this);
+
+  lookup['Runtime.runScript'] = (function(params, resolve, reject) {
+    dispatchOnInjectedScript.call(this,
+        'runScript',
+        [ params['scriptId'],
+          params['objectGroup'] || '' ],
+        function(result) {
+          if (typeof result == 'string') {
+            reject(result);
+            return;
+          }
+          // Deliver what the script logged before the result.
+          this.processAdapterMessages_().then(function() {
+            resolve(result);
+          });
+        }.bind(this),
         reject);
   }).bind(this);
 
@@ -665,23 +2289,60 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   }).bind(this);
 
   lookup['Runtime.getProperties'] = (function(params, resolve, reject) {
-    dispatchOnInjectedScript.call(this,
-        'getProperties',
-        [ params['objectId'],
-          params['ownProperties'],
-          params['accessorPropertiesOnly'] ],
-        function(result) { resolve({result : result}); },
-        reject);
+    var objectId = params['objectId'];
+    var properties = new Promise(function(resolve, reject) {
+      dispatchOnInjectedScript.call(this,
+          'getProperties',
+          [ objectId,
+            params['ownProperties'],
+            params['accessorPropertiesOnly'] ],
+          resolve,
+          reject);
+    }.bind(this));
+    if (params['accessorPropertiesOnly']) {
+      properties.then(function(result) {
+        resolve({ result: result });
+      }, reject);
+      return;
+    }
+
+    // Some internal properties are only visible to V8 mirrors; skip the
+    // lookups for objects that don't have any.
+    var objectIdJson = JSON.stringify(objectId);
+    var internalProperties = this.evaluateOnInjectedScript_(
+        '__is.needsMirrorInternalProperties(' + objectIdJson + ')').then(
+        function(needsMirror) {
+          if (!needsMirror) {
+            return { 'properties': '[]', 'additionalContext': [] };
+          }
+          return this.lookupMirrorInternalProperties_(objectId);
+        }.bind(this)).then(function(mirror) {
+          return this.evaluateOnInjectedScript_(
+              '__is.getInternalProperties(' + objectIdJson + ', ' +
+                  mirror['properties'] + ')',
+              mirror['additionalContext']);
+        }.bind(this)).then(null, function(err) {
+          console.error('Unable to get internal properties:', err);
+          return null;
+        });
+
+    Promise.all([properties, internalProperties]).then(function(results) {
+      var response = { result: results[0] };
+      if (results[1] && results[1].length) {
+        response['internalProperties'] = results[1];
+      }
+      resolve(response);
+    }, reject);
   }).bind(this);
 
   lookup['Runtime.releaseObject'] = (function(params, resolve, reject) {
     dispatchOnInjectedScript.call(this,
-        'releaseObject', [], resolve, reject);
+        'releaseObject', [params['objectId']], resolve, reject);
   }).bind(this);
 
   lookup['Runtime.releaseObjectGroup'] = (function(params, resolve, reject) {
     dispatchOnInjectedScript.call(this,
-        'releaseObjectGroup', [], resolve, reject);
+        'releaseObjectGroup', [params['objectGroup']], resolve, reject);
   }).bind(this);
 
   //----------------------------------------------------------------------------
@@ -707,6 +2368,90 @@ Relay.prototype.buildDevToolsDispatch_ = function() {
   return lookup;
 };
 
+/**
+ * Builds the dispatch table that maps console commands to actions.
+ * @return {!Object.<function(string, Function, Function)>} Lookup table.
+ * @private
+ */
+Relay.prototype.buildConsoleCommandDispatch_ = function() {
+  var lookup = {};
+
+  lookup['hits'] = (function(args, resolve, reject) {
+    this.debugTarget_.sendCommand('listbreakpoints').then(function(response) {
+      var hitCounts = {};
+      var v8Breakpoints = response['breakpoints'] || [];
+      for (var i = 0; i < v8Breakpoints.length; ++i) {
+        hitCounts[v8Breakpoints[i]['number']] = v8Breakpoints[i]['hit_count'];
+      }
+      var lines = [];
+      for (var breakpointId in this.breakpointIdToV8Id_) {
+        var hitCount = hitCounts[this.breakpointIdToV8Id_[breakpointId]] || 0;
+        var hitCondition = this.hitConditions_[breakpointId];
+        lines.push(breakpointId + ': ' + hitCount + ' hit(s)' +
+            (hitCondition ? ', pauses on ' + HIT_COUNT_PREFIX + ' ' +
+                hitCondition['operator'] + hitCondition['count'] : ''));
+      }
+      resolve(lines.length ? lines.join('\n') : 'No breakpoints.');
+    }.bind(this), reject);
+  }).bind(this);
+
+  lookup['exceptions'] = (function(args, resolve, reject) {
+    args = args.trim();
+    if (args == 'clear') {
+      this.exceptionFilters_ = [];
+      resolve('Cleared the exception filters added from the console.');
+      return;
+    }
+    if (args) {
+      try {
+        this.exceptionFilters_.push(parseExceptionFilter(args));
+      } catch (e) {
+        reject(e.message);
+        return;
+      }
+      resolve('Added exception filter ' + args + '.');
+      return;
+    }
+    var lines = commandLineExceptionFilters.map(function(filter) {
+      return filter['text'] + ' (command line)';
+    }).concat(this.exceptionFilters_.map(function(filter) {
+      return filter['text'];
+    }));
+    resolve(lines.length ? lines.join('\n') : 'No exception filters.');
+  }).bind(this);
+
+  lookup['functions'] = (function(args, resolve, reject) {
+    var lines = [];
+    for (var functionId in this.debuggedFunctions_) {
+      lines.push(functionId + ': ' +
+          this.debuggedFunctions_[functionId]['name']);
+    }
+    if (!lines.length) {
+      resolve('No functions are debugged.');
+      return;
+    }
+    lines.push('Type .undebug <id> to remove a breakpoint.');
+    resolve(lines.join('\n'));
+  }).bind(this);
+
+  lookup['undebug'] = (function(args, resolve, reject) {
+    var functionId = args.trim();
+    if (!this.debuggedFunctions_[functionId]) {
+      reject('Unknown function id: ' + functionId);
+      return;
+    }
+    var name = this.debuggedFunctions_[functionId]['name'];
+    this.evaluateOnInjectedScript_('__is.undebugFunction(' +
+        '__is.debuggedFunction(' + Number(functionId) + '))').then(function() {
+      return this.processAdapterMessages_();
+    }.bind(this)).then(function() {
+      resolve('Removed the breakpoint on ' + name + '.');
+    }, reject);
+  }).bind(this);
+
+  return lookup;
+};
+
 /**
  * Builds the dispatch table that maps incoming target events to actions.
  * @return {!Object.<function(Object)>} Lookup table.
@@ -716,63 +2461,112 @@ Relay.prototype.buildTargetDispatch_ = function() {
   var lookup = {};
 
   lookup['break'] = (function(body) {
-    this.debugTarget_.sendCommand('backtrace', {
-      inlineRefs: true,
-    }).then(function(response) {
-      var v8frames = response['frames'];
-      var frames = [];
-
-      for (var i = 0; i < v8frames.length; ++i) {
-        var v8frame = v8frames[i];
-        console.error(JSON.stringify(v8frame));
-        var location = {};
-        location['scriptId'] = String(v8frame['func']['scriptId']);
-        location['lineNumber'] = v8frame['line'];
-        location['columnNumber'] = v8frame['column'];
-
-        var frame = {};
-        frame['callFrameId'] = String(v8frame['index']);
-        frame['functionName'] = v8frame['func']['name'];
-        frame['location'] = location;
-        frame['scopeChain'] = [];
-        frames.push(frame);
-      }
-      this.fireDevToolsEvent_('Debugger.paused', {
-        'callFrames': frames,
-        'reason': 'debugCommand',  // FIXME(pfeldman): provide reason
-        'data': {}
+    if (this.skipAllPauses_) {
+      // Breakpoints are disabled, but debugger statements and the one-shot
+      // breakpoint still stop.
+      this.clearOneShotBreakpoint_();
+      this.debugTarget_.sendCommand('continue');
+      return;
+    }
+
+    // Keep stepping until we leave blackboxed scripts. Stepping in may still
+    // reach a non-blackboxed callback, other steps leave the script.
+    var v8BreakpointIds = body['breakpoints'] || [];
+    var scriptName = body['script'] ? body['script']['name'] : '';
+    if (this.stepAction_ && !v8BreakpointIds.length &&
+        this.isBlackboxed_(scriptName)) {
+      this.debugTarget_.sendCommand('continue', {
+        'stepaction': this.stepAction_ == 'in' ? 'in' : 'out',
+        'stepcount': 1
       });
-    }.bind(this));
+      return;
+    }
+    this.stepAction_ = null;
+
+    // Map the V8 breakpoints that were hit back to their DevTools ids.
+    var hitBreakpoints = [];
+    for (var breakpointId in this.breakpointIdToV8Id_) {
+      var v8BreakpointId = this.breakpointIdToV8Id_[breakpointId];
+      if (v8BreakpointIds.indexOf(v8BreakpointId) != -1) {
+        hitBreakpoints.push(breakpointId);
+      }
+    }
 
-    // TODO(pfeldman): pull out args and switch - 'breakpoints' has a list
-    //     of breakpoints that could be used.
-    this.fireDevToolsEvent_('Debugger.paused', {
-      'callFrames': [],
-      'reason': 'debugCommand',
-      'data': {}
+    this.rearmHitCountBreakpoints_(hitBreakpoints);
+    this.clearOneShotBreakpoint_();
+    var debugCommand = hitBreakpoints.some(function(breakpointId) {
+      return breakpointId.indexOf(FUNCTION_BREAKPOINT_PREFIX) == 0;
     });
+    this.firePausedEvent_(debugCommand ? 'debugCommand' : 'other', {},
+        hitBreakpoints);
   }).bind(this);
 
   lookup['exception'] = (function(body) {
-    // TODO(pfeldman): what is 'data'? exception info? uncaught flag?
-    console.log('TODO: incoming target exception event');
-    this.fireDevToolsEvent_('Debugger.paused', {
-      'callFrames': [],
-      'reason': 'exception',
-      'data': {}
-    });
+    if (this.skipAllPauses_) {
+      this.clearOneShotBreakpoint_();
+      this.debugTarget_.sendCommand('continue');
+      return;
+    }
+
+    // Exceptions thrown and caught by blackboxed scripts are not interesting.
+    var scriptName = body['script'] ? body['script']['name'] : '';
+    if (!body['uncaught'] && this.isBlackboxed_(scriptName)) {
+      this.debugTarget_.sendCommand('continue');
+      return;
+    }
+
+    var exception = body['exception'] || {};
+    var handle = 'handle' in exception ? exception['handle'] : exception['ref'];
+    var filtered = Promise.resolve(true);
+    if (commandLineExceptionFilters.length || this.exceptionFilters_.length) {
+      filtered = this.evaluateOnInjectedScript_(
+          '__is.describeException(exception)',
+          [ { 'name': 'exception', 'handle': handle } ]).then(
+          function(details) {
+            details['script'] = scriptName;
+            return this.matchesExceptionFilters_(details);
+          }.bind(this), function(err) {
+            console.error('Unable to describe exception:', err);
+            return true;
+          });
+    }
+
+    filtered.then(function(pause) {
+      if (!pause) {
+        this.debugTarget_.sendCommand('continue');
+        return;
+      }
+      this.stepAction_ = null;
+      this.clearOneShotBreakpoint_();
+
+      // The exception value is only addressable by handle while paused, so
+      // wrap it right away. The DevTools expect the RemoteObject plus the
+      // uncaught flag as the pause data.
+      this.evaluateOnInjectedScript_(
+          '__is._wrapObject(exception, "backtrace", false, true)',
+          [ { 'name': 'exception', 'handle': handle } ]).then(function(data) {
+        data['uncaught'] = !!body['uncaught'];
+        this.firePausedEvent_('exception', data);
+      }.bind(this), function(err) {
+        console.error('Unable to wrap exception:', err);
+        this.firePausedEvent_('exception', {
+          'type': 'string',
+          'value': exception['text'] || '',
+          'uncaught': !!body['uncaught']
+        });
+      }.bind(this));
+    }.bind(this));
   }).bind(this);
 
   lookup['afterCompile'] = (function(body) {
     var script = body['script'];
-    this.fireDevToolsEvent_('Debugger.scriptParsed', {
-      'scriptId': String(script['id']),
-      'url': script['name'] || "",
-      'startLine': 0,
-      'startColumn': 0,
-      'endLine': script['lineCount'],
-      'endColumn': 0
-    });
+    if (this.isAdapterNotification_(script)) {
+      this.processAdapterMessages_();
+      return;
+    }
+    this.fireScriptParsed_(script).then(function() {
+      this.resolveUrlBreakpoints_(script);
+    }.bind(this));
   }).bind(this);
 
   return lookup;
@@ -0,0 +1,209 @@
+// Copyright (c) 2014 The Chromium Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+var fs = require('fs');
+var path = require('path');
+
+var Promise = require('es6-promise').Promise;
+
+/**
+ * Matches sourceMappingURL comments, including the deprecated '//@' form.
+ * @type {!RegExp}
+ */
+var SOURCE_MAPPING_URL_REGEX = /^\s*\/\/[#@]\s*sourceMappingURL=\s*(\S+)\s*$/mg;
+
+/**
+ * Matches the absolute file paths of the platform the adapter runs on. Paths
+ * of targets on other platforms can't be read from here.
+ * @type {!RegExp}
+ */
+var LOCAL_PATH_REGEX = process.platform == 'win32' ? /^[a-zA-Z]:\\/ : /^\//;
+
+/**
+ * Converts an absolute file path, POSIX or Windows, to a file:// URL.
+ * @param {string} filePath Absolute file path.
+ * @return {string} File URL.
+ */
+var pathToFileUrl = function(filePath) {
+  filePath = filePath.replace(/\\/g, '/');
+  if (filePath[0] != '/') {
+    filePath = '/' + filePath;
+  }
+  return 'file://' + encodeURI(filePath).replace(/[?#]/g, encodeURIComponent);
+};
+
+/**
+ * Converts a file:// URL back to a file path, the inverse of pathToFileUrl.
+ * @param {string} fileUrl File URL.
+ * @return {string} File path.
+ */
+var fileUrlToPath = function(fileUrl) {
+  var filePath = decodeURIComponent(fileUrl.substring('file://'.length));
+  if (/^\/[a-zA-Z]:\//.test(filePath)) {
+    filePath = filePath.substring(1).replace(/\//g, '\\');
+  }
+  return filePath;
+};
+
+/**
+ * Finds the source map of a script and returns a URL the DevTools can load it
+ * from.
+ * Maps found on disk or inlined as data URLs are returned as data URLs with
+ * absolute file:// sources and the source contents embedded, as the DevTools
+ * cannot resolve relative sources against a data URL nor read local files.
+ * @param {string} scriptName V8 script name, usually a file path for node.
+ * @param {string} source Script source.
+ * @return {!Promise} Promise resolved with the source map URL, or null if the
+ *     script has no source map.
+ */
+var resolveSourceMapUrl = function(scriptName, source) {
+  // Node names scripts by their absolute path; other names can't be used to
+  // look up files.
+  var isPath = LOCAL_PATH_REGEX.test(scriptName);
+  var scriptDir = isPath ? path.dirname(scriptName) : null;
+  var sourceMappingUrl = findSourceMappingUrl(source || '');
+
+  if (!sourceMappingUrl) {
+    // Fall back to a .map file next to the script.
+    if (!scriptDir) {
+      return Promise.resolve(null);
+    }
+    return readSourceMapFile(scriptName + '.map').then(null, function() {
+      return null;
+    });
+  }
+
+  if (sourceMappingUrl.indexOf('data:') == 0) {
+    var map;
+    try {
+      map = JSON.parse(decodeDataUrl(sourceMappingUrl));
+    } catch (e) {
+      return Promise.resolve(null);
+    }
+    return toDataUrl(map, scriptDir);
+  }
+
+  var mapPath;
+  if (sourceMappingUrl.indexOf('file://') == 0) {
+    mapPath = fileUrlToPath(sourceMappingUrl);
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(sourceMappingUrl)) {
+    // Something like http://, which the DevTools can load by themselves.
+    return Promise.resolve(sourceMappingUrl);
+  } else if (scriptDir) {
+    mapPath = path.resolve(scriptDir, sourceMappingUrl);
+  } else {
+    return Promise.resolve(null);
+  }
+  return readSourceMapFile(mapPath).then(null, function(err) {
+    console.error('Unable to load source map for ' + scriptName, err);
+    return null;
+  });
+};
+
+/**
+ * Finds the last sourceMappingURL comment in a script source.
+ * @param {string} source Script source.
+ * @return {?string} The source map URL, if any.
+ */
+var findSourceMappingUrl = function(source) {
+  var result = null;
+  var match;
+  SOURCE_MAPPING_URL_REGEX.lastIndex = 0;
+  while ((match = SOURCE_MAPPING_URL_REGEX.exec(source))) {
+    result = match[1];
+  }
+  return result;
+};
+
+/**
+ * Decodes the content of a data URL.
+ * @param {string} dataUrl Data URL.
+ * @return {string} Decoded content.
+ */
+var decodeDataUrl = function(dataUrl) {
+  var comma = dataUrl.indexOf(',');
+  var header = dataUrl.substring(0, comma);
+  var data = dataUrl.substring(comma + 1);
+  if (/;base64$/.test(header)) {
+    return new Buffer(data, 'base64').toString('utf8');
+  }
+  return decodeURIComponent(data);
+};
+
+/**
+ * Reads a source map from disk and converts it to a data URL.
+ * @param {string} mapPath Absolute path of the source map file.
+ * @return {!Promise} Promise resolved with the data URL.
+ */
+var readSourceMapFile = function(mapPath) {
+  return readFile(mapPath).then(function(content) {
+    return toDataUrl(JSON.parse(content), path.dirname(mapPath));
+  });
+};
+
+/**
+ * Makes the sources of a source map absolute, embeds their contents and
+ * encodes the map as a data URL.
+ * @param {!Object} map Parsed source map.
+ * @param {?string} mapDir Directory relative sources are resolved against, if
+ *     known.
+ * @return {!Promise} Promise resolved with the data URL.
+ */
+var toDataUrl = function(map, mapDir) {
+  var sources = map['sources'] || [];
+  var sourcesContent = map['sourcesContent'] || [];
+  var sourceRoot = map['sourceRoot'] || '';
+  var promises = [];
+  var resolvedAll = true;
+
+  for (var i = 0; i < sources.length; ++i) {
+    var sourcePath = null;
+    if (mapDir && !/^[a-z][a-z0-9+.-]*:/i.test(sourceRoot + sources[i])) {
+      sourcePath = path.resolve(mapDir, sourceRoot, sources[i]);
+      sources[i] = pathToFileUrl(sourcePath);
+    } else {
+      resolvedAll = false;
+    }
+    if (typeof sourcesContent[i] == 'string' || !sourcePath) {
+      promises.push(sourcesContent[i] || null);
+    } else {
+      promises.push(readFile(sourcePath).then(null, function() {
+        return null;
+      }));
+    }
+  }
+
+  return Promise.all(promises).then(function(contents) {
+    if (resolvedAll) {
+      delete map['sourceRoot'];
+    }
+    if (sources.length) {
+      map['sources'] = sources;
+      map['sourcesContent'] = contents;
+    }
+    return 'data:application/json;charset=utf-8;base64,' +
+        new Buffer(JSON.stringify(map), 'utf8').toString('base64');
+  });
+};
+
+/**
+ * Reads a UTF-8 file.
+ * @param {string} filePath File path.
+ * @return {!Promise} Promise resolved with the file content.
+ */
+var readFile = function(filePath) {
+  return new Promise(function(resolve, reject) {
+    fs.readFile(filePath, 'utf8', function(err, content) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(content);
+      }
+    });
+  });
+};
+
+exports.resolveSourceMapUrl = resolveSourceMapUrl;
+exports.pathToFileUrl = pathToFileUrl;
+exports.fileUrlToPath = fileUrlToPath;